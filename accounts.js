@@ -0,0 +1,157 @@
+/**
+ * Accounts - Health and usage per Google account, and rotation across the
+ * accounts of one session.
+ * An account that answers 401 is out until its cookie is validated again;
+ * one that answers 429 sits out a cooldown. The prompt moves to the next account.
+ */
+
+const queue = require('./queue');
+const { ErrorCode, createError, classify } = require('./errors');
+const config = require('./config');
+const log = require('./logger').child('accounts');
+
+const RATE_LIMIT_COOLDOWN = config.accounts.rateLimitCooldown;  // rest a rate-limited account
+
+const Status = {
+    HEALTHY: 'healthy',
+    LIMITED: 'limited',
+    EXPIRED: 'expired'
+};
+
+// cookie hash → { status, limitedUntil, successCount, errorCount, lastError, lastUsedAt }
+const health = new Map();
+
+// rotation list key → index of the account to try first next time
+const cursors = new Map();
+
+function getHealth(cookie) {
+    const hash = queue.hashCookie(cookie);
+    if (!health.has(hash)) {
+        health.set(hash, {
+            status: Status.HEALTHY,
+            limitedUntil: null,
+            successCount: 0,
+            errorCount: 0,
+            lastError: null,
+            lastUsedAt: null
+        });
+    }
+
+    const entry = health.get(hash);
+    if (entry.status === Status.LIMITED && entry.limitedUntil <= Date.now()) {
+        entry.status = Status.HEALTHY;
+        entry.limitedUntil = null;
+    }
+    return entry;
+}
+
+function isAuthError(error) {
+    return classify(error) === ErrorCode.AUTH_EXPIRED;
+}
+
+function isRateLimitError(error) {
+    return classify(error) === ErrorCode.RATE_LIMITED;
+}
+
+// Cookie just passed Account.refresh: back in rotation
+function markHealthy(cookie) {
+    const entry = getHealth(cookie);
+    entry.status = Status.HEALTHY;
+    entry.limitedUntil = null;
+}
+
+function recordSuccess(cookie) {
+    const entry = getHealth(cookie);
+    entry.successCount++;
+    entry.lastUsedAt = Date.now();
+}
+
+function recordError(cookie, error) {
+    const entry = getHealth(cookie);
+    entry.errorCount++;
+    entry.lastError = error.message;
+    entry.lastUsedAt = Date.now();
+
+    if (isAuthError(error)) {
+        entry.status = Status.EXPIRED;
+    } else if (isRateLimitError(error)) {
+        entry.status = Status.LIMITED;
+        entry.limitedUntil = Date.now() + RATE_LIMIT_COOLDOWN;
+    }
+}
+
+function isAvailable(cookie) {
+    return getHealth(cookie).status === Status.HEALTHY;
+}
+
+// Healthy accounts, starting after the one used last so load spreads evenly
+function rotationOrder(cookies) {
+    const key = cookies.map(queue.hashCookie).join(',');
+    const start = (cursors.get(key) || 0) % cookies.length;
+    cursors.set(key, start + 1);
+
+    return [...cookies.slice(start), ...cookies.slice(0, start)].filter(isAvailable);
+}
+
+/**
+ * Run task(cookie) on the next healthy account. A 401 or 429 takes that account
+ * out of rotation and retries on another; any other error is thrown as-is.
+ */
+async function withAccount(cookies, task) {
+    const candidates = rotationOrder(cookies);
+    let lastError = null;
+
+    for (const cookie of candidates) {
+        try {
+            const result = await task(cookie);
+            recordSuccess(cookie);
+            return result;
+        } catch (error) {
+            recordError(cookie, error);
+            if (!isAuthError(error) && !isRateLimitError(error)) throw error;
+
+            lastError = error;
+            if (cookies.length > 1) log.warn('Account out of rotation', { code: classify(error), error });
+        }
+    }
+
+    // Keep the upstream error when there was one, so callers still see the 401/429
+    if (lastError) throw lastError;
+
+    const waits = cookies.map(c => getHealth(c).limitedUntil).filter(Boolean);
+    if (waits.length > 0) {
+        const seconds = Math.ceil((Math.min(...waits) - Date.now()) / 1000);
+        throw createError(ErrorCode.RATE_LIMITED, `All accounts are rate limited, next one is free in ${seconds}s`, { retryAfter: seconds });
+    }
+    throw createError(ErrorCode.AUTH_EXPIRED, 'All accounts have expired cookies, validate a fresh cookie');
+}
+
+// Per-account view for the UI; accounts are { id, cookie, email, cookieExpiresAt }
+function describe(accounts) {
+    return accounts.map((acc, i) => {
+        const entry = getHealth(acc.cookie);
+        return {
+            id: acc.id,
+            email: acc.email,
+            primary: i === 0,
+            cookieExpiresAt: acc.cookieExpiresAt,
+            status: entry.status,
+            limitedUntil: entry.limitedUntil,
+            successCount: entry.successCount,
+            errorCount: entry.errorCount,
+            lastError: entry.lastError
+        };
+    });
+}
+
+module.exports = {
+    Status,
+    RATE_LIMIT_COOLDOWN,
+    isAuthError,
+    isRateLimitError,
+    markHealthy,
+    recordSuccess,
+    recordError,
+    withAccount,
+    describe
+};
@@ -0,0 +1,192 @@
+/**
+ * API Keys - Long-lived bearer keys for the /api/v1 surface
+ * An admin creates a key with the Google cookie(s) it generates with; the
+ * cookies are sealed with the vault key and only a hash of the key is stored.
+ * Every request made with a key is appended to that key's usage log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vault = require('./vault');
+const config = require('./config');
+const log = require('./logger').child('apikeys');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const KEYS_FILE = path.join(DATA_DIR, 'apikeys.json');
+
+const KEY_PREFIX = 'bmk_';
+const USAGE_LIMIT = config.apikeys.usageLimit;   // usage entries kept per key (oldest dropped first)
+
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+let keysCache = null;
+let saveTimer = null;
+
+function getKeys() {
+    if (keysCache === null) {
+        try {
+            keysCache = fs.existsSync(KEYS_FILE) ? JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8')) : [];
+        } catch (e) {
+            log.error('Could not read keys file', { error: e });
+            keysCache = [];
+        }
+    }
+    return keysCache;
+}
+
+function saveNow() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    try {
+        fs.writeFileSync(KEYS_FILE, JSON.stringify(getKeys(), null, 2), { mode: 0o600 });
+    } catch (e) {
+        log.error('Could not save keys', { error: e });
+    }
+}
+
+// Usage is logged on every request, so those writes are batched
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveNow, 2000);
+    saveTimer.unref();
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// ============================================
+// KEYS
+// ============================================
+
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Create a key generating with the given accounts ([{ cookie, email }], first is
+ * the primary). Returns { key, secret }; the secret is shown once and never stored.
+ */
+function createKey({ name, accounts }) {
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+        id: `key_${crypto.randomBytes(6).toString('hex')}`,
+        name,
+        keyHash: hashKey(secret),
+        hint: secret.slice(0, KEY_PREFIX.length + 4),
+        accounts: accounts.map(acc => ({
+            id: `acc_${crypto.randomBytes(6).toString('hex')}`,
+            cookie: vault.seal(acc.cookie),
+            email: acc.email || null
+        })),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        lastUsedAt: null,
+        requestCount: 0,
+        usage: []
+    };
+
+    getKeys().push(record);
+    saveNow();
+    return { key: toPublicKey(record), secret };
+}
+
+/**
+ * { id, name, cookie, email, accounts } for a live key, else null. Same shape
+ * as vault.resolveToken, so routes don't care which kind of bearer they got.
+ */
+function resolveKey(secret) {
+    if (!isApiKey(secret)) return null;
+
+    const keyHash = hashKey(secret);
+    const record = getKeys().find(k => k.keyHash === keyHash);
+    if (!record || record.revokedAt) return null;
+
+    const accounts = record.accounts
+        .map(acc => ({ id: acc.id, cookie: vault.unseal(acc.cookie), email: acc.email, cookieExpiresAt: null }))
+        .filter(acc => acc.cookie);
+    if (accounts.length === 0) return null;
+
+    return {
+        keyId: record.id,
+        name: record.name,
+        cookie: accounts[0].cookie,
+        email: accounts[0].email,
+        cookieExpiresAt: null,
+        expiresAt: null,
+        accounts
+    };
+}
+
+function revokeKey(id) {
+    const record = getKeys().find(k => k.id === id);
+    if (!record || record.revokedAt) return null;
+
+    record.revokedAt = new Date().toISOString();
+    saveNow();
+    return toPublicKey(record);
+}
+
+function listKeys() {
+    return getKeys().map(toPublicKey);
+}
+
+// Key as shown to admins: never the hash or the cookies
+function toPublicKey(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        hint: record.hint,
+        accounts: record.accounts.map(acc => ({ id: acc.id, email: acc.email })),
+        createdAt: record.createdAt,
+        revokedAt: record.revokedAt,
+        lastUsedAt: record.lastUsedAt,
+        requestCount: record.requestCount
+    };
+}
+
+// ============================================
+// USAGE LOG
+// ============================================
+
+// entry: { method, path, status, durationMs, ip }
+function recordUsage(id, entry) {
+    const record = getKeys().find(k => k.id === id);
+    if (!record) return;
+
+    const at = new Date().toISOString();
+    record.usage.push({ at, ...entry });
+    if (record.usage.length > USAGE_LIMIT) record.usage.splice(0, record.usage.length - USAGE_LIMIT);
+    record.requestCount++;
+    record.lastUsedAt = at;
+    scheduleSave();
+}
+
+// Most recent entries first; null if the key doesn't exist
+function getUsage(id, limit = 100) {
+    const record = getKeys().find(k => k.id === id);
+    if (!record) return null;
+    return record.usage.slice(-limit).reverse();
+}
+
+module.exports = {
+    KEY_PREFIX,
+    USAGE_LIMIT,
+    isApiKey,
+    createKey,
+    resolveKey,
+    revokeKey,
+    listKeys,
+    recordUsage,
+    getUsage,
+    saveNow
+};
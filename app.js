@@ -1,7 +1,7 @@
 /**
  * Bulkmass - Frontend Application (Multi-User)
  * Client-side queue, IndexedDB image storage, browser-managed state.
- * Server is a stateless proxy - no SSE, no server jobs.
+ * Optional server mode hands the batch to the server worker and follows it over SSE.
  */
 
 // ============================================
@@ -145,21 +145,57 @@ function escapeHtml(str) {
         .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+// Wait the server asked for on a 429 (Retry-After is seconds or an HTTP date)
+function retryAfterMs(res, fallback = 10000) {
+    const header = res.headers.get('Retry-After');
+    if (!header) return fallback;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? fallback : Math.max(0, date - Date.now());
+}
+
 function sleep(ms) {
     return new Promise(r => setTimeout(r, ms));
 }
 
+// What the queue does about a failed request, by the server's error code:
+// pause for a new cookie, retry the same prompt later, or skip to the next one
+const ERROR_POLICY = {
+    AUTH_EXPIRED: 'pause',
+    RATE_LIMITED: 'retry',
+    UPSTREAM_UNAVAILABLE: 'retry',
+    TIMEOUT: 'retry',
+    SAFETY_BLOCKED: 'skip',
+    BAD_INPUT: 'skip'
+};
+
+// Error code of a failed response; falls back on the HTTP status for responses without one
+function errorCode(res, data) {
+    if (data?.code && ERROR_POLICY[data.code]) return data.code;
+    if (res.status === 401) return 'AUTH_EXPIRED';
+    if (res.status === 429) return 'RATE_LIMITED';
+    if (res.status >= 400 && res.status < 500) return 'BAD_INPUT';
+    return 'UPSTREAM_UNAVAILABLE';
+}
+
 // ============================================
 // STATE
 // ============================================
 
 const store = {
-    cookie: localStorage.getItem('bulkmass_cookie') || '',
+    // Opaque token for the cookie vaulted server-side; the cookie itself is never stored here
+    sessionToken: localStorage.getItem('bulkmass_session') || '',
     cookieValid: false,
     email: null,
     stylePrefix: localStorage.getItem('bulkmass_prefix') || '',
     aspectRatio: localStorage.getItem('bulkmass_ratio') || '16:9',
     count: parseInt(localStorage.getItem('bulkmass_count')) || 1,
+    serverMode: localStorage.getItem('bulkmass_server_mode') === '1',
+
+    // Retry safety-blocked prompts reworded; empty rules = the server's defaults
+    reword: localStorage.getItem('bulkmass_reword') === '1',
+    rewordRules: localStorage.getItem('bulkmass_reword_rules') || '',
     jobs: [],
     isRunning: false,
     isPaused: false,
@@ -170,13 +206,26 @@ const store = {
     aspectRatio: '16:9',
     stylePrefix: '',
 
+    // Per-prompt options from imported files, by prompt text, one entry per occurrence of the text:
+    // [{ aspectRatio, count, seed, filename, motionScript, cue }]
+    promptOptions: new Map(),
+
+    // Server-side job being followed over SSE
+    serverJobId: null,
+    lastEventId: 0,
+
     // Arrays for up to 3 references per category: { image: base64, caption: '' }
     refSubject: [],
     refStyle: [],
     refScene: [],
 
+    // Reverse prompt: { id, name, thumb, status, captions: [], selected, error }
+    captionItems: [],
+    isCaptioning: false,
+
     // Motion / Video
-    videoModel: 'VEO_FAST_3_1',
+    videoModel: localStorage.getItem('bulkmass_video_model') || 'VEO_FAST_3_1',
+    videoLoop: localStorage.getItem('bulkmass_video_loop') === '1',
     isAnimating: false,
     animatedCount: 0,
     animationErrors: 0,
@@ -189,6 +238,7 @@ const videoBlobUrls = new Map();
 let cookieExpiration = null;
 let timerInterval = null;
 let editingJobId = null;
+let reuseSeedFrom = null;   // job whose seed the edit modal will reuse
 
 // ============================================
 // DOM REFS
@@ -204,6 +254,9 @@ function cacheDom() {
     DOM.btnValidate = $('#btn-validate');
     DOM.statusBadge = $('#status-badge');
     DOM.statusText = $('#status-text');
+    DOM.accountPool = $('#account-pool');
+    DOM.accountList = $('#account-list');
+    DOM.btnAddAccount = $('#btn-add-account');
     DOM.cookieTimerSection = $('#cookie-timer-section');
     DOM.timerHours = $('#timer-hours');
     DOM.timerMinutes = $('#timer-minutes');
@@ -211,6 +264,9 @@ function cacheDom() {
 
     DOM.aspectRatio = $('#aspect-ratio');
     DOM.countInput = $('#count-input');
+    DOM.serverMode = $('#server-mode');
+    DOM.reword = $('#reword');
+    DOM.rewordRules = $('#reword-rules');
     DOM.stylePrefix = $('#style-prefix');
     DOM.prefixPreview = $('#prefix-preview');
 
@@ -221,11 +277,24 @@ function cacheDom() {
     DOM.promptsListToggle = $('#prompts-list-toggle');
     DOM.promptsListWrap = $('#prompts-list-wrap');
 
+    DOM.captionToggle = $('#caption-toggle');
+    DOM.captionWrap = $('#caption-wrap');
+    DOM.captionDropzone = $('#caption-dropzone');
+    DOM.captionUpload = $('#caption-upload');
+    DOM.captionFolder = $('#caption-folder');
+    DOM.btnCaptionFolder = $('#btn-caption-folder');
+    DOM.captionCount = $('#caption-count');
+    DOM.captionApplyPrefix = $('#caption-apply-prefix');
+    DOM.captionList = $('#caption-list');
+    DOM.btnCaptionAddAll = $('#btn-caption-add-all');
+    DOM.btnCaptionClear = $('#btn-caption-clear');
+
     DOM.btnStart = $('#btn-start');
     DOM.btnPause = $('#btn-pause');
     DOM.btnStop = $('#btn-stop');
     DOM.sidebarProgress = $('#sidebar-progress');
     DOM.btnRetryErrors = $('#btn-retry-errors');
+    DOM.btnBlockedReport = $('#btn-blocked-report');
     DOM.btnClearAll = $('#btn-clear-all');
     DOM.btnDownloadZip = $('#btn-download-zip');
 
@@ -239,8 +308,16 @@ function cacheDom() {
     DOM.lightbox = $('#lightbox');
     DOM.lightboxClose = $('#lightbox-close');
     DOM.lightboxImg = $('#lightbox-img');
+    DOM.lightboxBefore = $('#lightbox-before');
+    DOM.compareOverlay = $('#compare-overlay');
+    DOM.compareSlider = $('#compare-slider');
+    DOM.lightboxPanel = $('#lightbox-panel');
+    DOM.versionStrip = $('#version-strip');
+    DOM.refineInput = $('#refine-input');
+    DOM.btnRefine = $('#btn-refine');
 
     DOM.editModal = $('#edit-modal');
+    DOM.editModalTitle = $('#edit-modal-title');
     DOM.editPromptInput = $('#edit-prompt-input');
     DOM.modalClose = $('#modal-close');
     DOM.btnCancelEdit = $('#btn-cancel-edit');
@@ -251,6 +328,8 @@ function cacheDom() {
 
     // Motion Box
     DOM.motionPromptsInput = $('#motion-prompts-input');
+    DOM.videoModel = $('#video-model');
+    DOM.videoLoop = $('#video-loop');
     DOM.btnAnimateAll = $('#btn-animate-all');
     DOM.btnDownloadVideos = $('#btn-download-videos');
     DOM.motionProgress = $('#motion-progress');
@@ -288,9 +367,11 @@ function updateStatus(connected, email) {
     if (connected) {
         DOM.statusBadge.classList.add('connected');
         DOM.statusText.textContent = email || 'Connected';
+        refreshAccounts();
     } else {
         DOM.statusBadge.classList.remove('connected');
         DOM.statusText.textContent = 'Disconnected';
+        DOM.accountPool.style.display = 'none';
     }
 
     updateStartButton();
@@ -337,10 +418,109 @@ function updateTimer() {
     DOM.timerSeconds.textContent = String(Math.floor((diff % 60000) / 1000)).padStart(2, '0');
 }
 
+// ============================================
+// ACCOUNT ROTATION
+// ============================================
+
+let accountsRefreshTimer = null;
+
+async function refreshAccounts() {
+    if (!store.sessionToken) return;
+    try {
+        const res = await fetch('/api/accounts', { headers: authHeaders() });
+        const data = await res.json();
+        if (data.success) renderAccounts(data.accounts);
+    } catch { }
+}
+
+// Counts change with every generation; batch the refreshes
+function refreshAccountsSoon() {
+    if (accountsRefreshTimer) return;
+    accountsRefreshTimer = setTimeout(() => {
+        accountsRefreshTimer = null;
+        refreshAccounts();
+    }, 5000);
+}
+
+function formatExpiry(ms) {
+    if (!ms) return 'expiry unknown';
+    const diff = ms - Date.now();
+    if (diff <= 0) return 'cookie expired';
+    const hours = Math.floor(diff / 3600000);
+    const minutes = Math.floor((diff % 3600000) / 60000);
+    return `expires in ${hours}h ${String(minutes).padStart(2, '0')}m`;
+}
+
+function renderAccounts(accounts) {
+    DOM.accountPool.style.display = 'block';
+    DOM.accountList.innerHTML = accounts.map((acc, i) => {
+        const state = acc.status === 'limited'
+            ? `resting until ${new Date(acc.limitedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : acc.status === 'expired' ? 'cookie rejected' : formatExpiry(acc.cookieExpiresAt);
+        return `
+            <div class="account-item ${acc.status}" title="${escapeHtml(acc.lastError || '')}">
+                <span class="status-dot"></span>
+                <div class="account-body">
+                    <div class="account-email">${escapeHtml(acc.email || `Account ${i + 1}`)}${acc.primary ? ' (primary)' : ''}</div>
+                    <div class="account-meta">${acc.successCount} ok · ${acc.errorCount} errors · ${state}</div>
+                </div>
+                ${acc.primary ? '' : `<button class="account-remove" data-id="${acc.id}" title="Remove from rotation">&times;</button>`}
+            </div>`;
+    }).join('');
+}
+
+async function addAccount() {
+    const cookie = DOM.cookieInput.value.trim();
+    if (!cookie) { toast('Paste another cookie above first', 'error'); return; }
+
+    DOM.btnAddAccount.disabled = true;
+    try {
+        const res = await fetch('/api/accounts', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ cookie })
+        });
+        const data = await res.json();
+        if (data.success) {
+            DOM.cookieInput.value = '';
+            renderAccounts(data.accounts);
+            toast(`Account added (${data.accounts.length} in rotation)`, 'success');
+        } else {
+            toast(data.error || 'Could not add account', 'error');
+        }
+    } catch (error) {
+        toast('Connection error: ' + error.message, 'error');
+    } finally {
+        DOM.btnAddAccount.disabled = false;
+    }
+}
+
+async function removeAccount(id) {
+    try {
+        const res = await fetch(`/api/accounts/${id}`, { method: 'DELETE', headers: authHeaders() });
+        const data = await res.json();
+        if (data.success) renderAccounts(data.accounts);
+        else toast(data.error || 'Could not remove account', 'error');
+    } catch (error) {
+        toast('Connection error: ' + error.message, 'error');
+    }
+}
+
 // ============================================
 // COOKIE VALIDATION
 // ============================================
 
+// Every API call after validation authenticates with the session token
+function authHeaders(extra = {}) {
+    return { ...extra, Authorization: `Bearer ${store.sessionToken}` };
+}
+
+function setSessionToken(token) {
+    store.sessionToken = token || '';
+    if (token) localStorage.setItem('bulkmass_session', token);
+    else localStorage.removeItem('bulkmass_session');
+}
+
 async function validateCookie() {
     const cookie = DOM.cookieInput.value.trim();
     if (!cookie) { toast('Enter a cookie', 'error'); return; }
@@ -358,23 +538,16 @@ async function validateCookie() {
         const data = await res.json();
 
         if (data.valid) {
-            store.cookie = cookie;
-            localStorage.setItem('bulkmass_cookie', cookie);
+            // Replace any previous session; the cookie now lives only in the server's vault
+            if (store.sessionToken && store.sessionToken !== data.token) {
+                fetch('/api/session', { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+            }
+            setSessionToken(data.token);
+            DOM.cookieInput.value = '';
             updateStatus(true, data.email);
             toast('Cookie validated!', 'success');
 
-            // Parse expiration from JSON array
-            try {
-                const parsed = JSON.parse(cookie.trim());
-                if (Array.isArray(parsed)) {
-                    const session = parsed.find(c =>
-                        c.name?.includes('session') || c.name?.includes('Secure')
-                    );
-                    if (session?.expirationDate) {
-                        startCookieTimer(session.expirationDate * 1000);
-                    }
-                }
-            } catch { }
+            if (data.cookieExpiresAt) startCookieTimer(data.cookieExpiresAt);
         } else {
             updateStatus(false);
             toast(data.message || 'Invalid cookie', 'error');
@@ -429,14 +602,26 @@ async function handleFileUpload(file) {
         const res = await fetch('/api/upload-prompts', { method: 'POST', body: formData });
         const data = await res.json();
 
+        const errors = data.errors || [];
+        if (errors.length > 0) console.warn('[Prompt Import] Skipped rows:', errors);
+        const firstError = errors[0] ? ` (${errors[0].line ? `line ${errors[0].line}` : `item ${errors[0].item}`}: ${errors[0].error})` : '';
+
         if (data.success && data.prompts.length > 0) {
-            const current = DOM.promptsInput.value.trim();
-            const newText = data.prompts.join('\n');
-            DOM.promptsInput.value = current ? current + '\n' + newText : newText;
-            updatePromptCount();
-            toast(`Imported ${data.count} prompts`, 'success');
+            const imported = new Map();
+            (data.items || []).forEach(({ prompt, ...options }) => {
+                imported.set(prompt, [...(imported.get(prompt) || []), options]);
+            });
+            imported.forEach((list, prompt) => {
+                if (list.some(options => Object.keys(options).length > 0)) store.promptOptions.set(prompt, list);
+            });
+            appendPrompts(data.prompts);
+            if (errors.length > 0) {
+                toast(`Imported ${data.count} prompts, skipped ${errors.length} bad row${errors.length !== 1 ? 's' : ''}${firstError}`, 'info');
+            } else {
+                toast(`Imported ${data.count} prompts`, 'success');
+            }
         } else {
-            toast('No prompts found', 'error');
+            toast((data.error || 'No prompts found') + firstError, 'error');
         }
     } catch (error) {
         toast('Upload failed: ' + error.message, 'error');
@@ -444,10 +629,41 @@ async function handleFileUpload(file) {
 }
 
 // ============================================
-// REFERENCE IMAGES
+// SERVER SETTINGS
 // ============================================
 
-const MAX_REFS_PER_CAT = 3;
+// Defaults until /api/config answers; the server's config wins so both sides agree
+const limits = {
+    maxRefsPerCategory: 3,
+    maxCandidates: 8,           // ImageFX returns up to 8 images per request
+    baseDelay: 5000,
+    maxBackoff: 32000,
+    maxAttempts: 3,             // tries per prompt for retryable errors
+    animationPollMs: 5000
+};
+
+async function loadServerConfig() {
+    try {
+        const res = await fetch('/api/config');
+        const data = await res.json();
+        if (!data.success) return;
+
+        const { config } = data;
+        Object.assign(limits, {
+            maxRefsPerCategory: config.references.maxPerCategory,
+            maxCandidates: data.limits.maxCandidates,
+            baseDelay: config.client.baseDelay,
+            maxBackoff: config.client.maxBackoff,
+            maxAttempts: config.client.maxAttempts,
+            animationPollMs: config.client.animationPollInterval
+        });
+        ['subject', 'style', 'scene'].forEach(renderReferencePreviews);
+    } catch { }
+}
+
+// ============================================
+// REFERENCE IMAGES
+// ============================================
 
 function bindReferenceEvents() {
     ['subject', 'style', 'scene'].forEach(cat => {
@@ -482,9 +698,9 @@ function handleReferenceUpload(fileList, type) {
     let currentRefs = store[storeKey];
 
     // Calculate how many more we can add
-    const availableSlots = MAX_REFS_PER_CAT - currentRefs.length;
+    const availableSlots = limits.maxRefsPerCategory - currentRefs.length;
     if (availableSlots <= 0) {
-        toast(`Max ${MAX_REFS_PER_CAT} images reached for ${type}`, 'error');
+        toast(`Max ${limits.maxRefsPerCategory} images reached for ${type}`, 'error');
         return;
     }
 
@@ -495,15 +711,17 @@ function handleReferenceUpload(fileList, type) {
         const reader = new FileReader();
         reader.onload = (e) => {
             const base64 = e.target.result;
-            // Push new object with empty caption initially
-            store[storeKey].push({ image: base64, caption: '' });
+            // Push new object with empty caption initially, then fill in Whisk's caption for editing
+            const ref = { image: base64, caption: '', captioning: false };
+            store[storeKey].push(ref);
             renderReferencePreviews(type);
+            autoCaptionReference(type, ref);
         };
         reader.readAsDataURL(file);
     });
 
     if (files.length > availableSlots) {
-        toast(`Only added ${availableSlots} images. Max ${MAX_REFS_PER_CAT} reached.`, 'info');
+        toast(`Only added ${availableSlots} images. Max ${limits.maxRefsPerCategory} reached.`, 'info');
     }
 }
 
@@ -520,6 +738,41 @@ function updateReferenceCaption(type, index, value) {
     }
 }
 
+// Ask Whisk for the caption it would have used, so the user can edit it before generating.
+// A non-empty caption is sent with the reference and skips captioning on upload.
+async function autoCaptionReference(type, ref) {
+    if (!store.cookieValid || ref.caption) return;
+
+    ref.captioning = true;
+    refreshReferenceCaption(type, ref);
+
+    try {
+        const res = await fetch('/api/caption', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ imageBase64: ref.image, category: type.toUpperCase() })
+        });
+        const data = await res.json();
+        // Don't clobber anything the user typed meanwhile
+        if (data.success && data.captions?.[0] && !ref.caption) ref.caption = data.captions[0];
+    } catch { }
+
+    ref.captioning = false;
+    refreshReferenceCaption(type, ref);
+}
+
+// Update one caption field in place (a full re-render would steal focus from the others)
+function refreshReferenceCaption(type, ref) {
+    const storeKey = `ref${type.charAt(0).toUpperCase() + type.slice(1)}`;
+    const index = store[storeKey].indexOf(ref);
+    const input = DOM[`ref${type}Previews`].children[index]?.querySelector('.ref-caption-input');
+    if (!input) return;
+
+    input.value = ref.caption;
+    input.placeholder = ref.captioning ? 'Captioning...' : 'Custom caption (optional)';
+    input.classList.toggle('captioning', !!ref.captioning);
+}
+
 function renderReferencePreviews(type) {
     const storeKey = `ref${type.charAt(0).toUpperCase() + type.slice(1)}`;
     const items = store[storeKey];
@@ -528,7 +781,7 @@ function renderReferencePreviews(type) {
 
     console.log(`[Reference Render] Rendering ${items.length} items for ${type}`);
 
-    limitLabel.textContent = `${items.length} / ${MAX_REFS_PER_CAT}`;
+    limitLabel.textContent = `${items.length} / ${limits.maxRefsPerCategory}`;
 
     previewContainer.innerHTML = '';
 
@@ -540,7 +793,7 @@ function renderReferencePreviews(type) {
                 <img src="${item.image}" alt="${type} reference ${index + 1}">
                 <button class="ref-preview-clear" onclick="removeReference('${type}', ${index})">&times;</button>
             </div>
-            <input type="text" class="ref-caption-input" placeholder="Custom caption (optional)" value="${item.caption.replace(/"/g, '&quot;')}">
+            <input type="text" class="ref-caption-input${item.captioning ? ' captioning' : ''}" placeholder="${item.captioning ? 'Captioning...' : 'Custom caption (optional)'}" value="${item.caption.replace(/"/g, '&quot;')}">
         `;
 
         // Listen to caption changes
@@ -552,7 +805,7 @@ function renderReferencePreviews(type) {
 
     // Hide dropzone if maxed out
     const dropzone = DOM[`ref${type}Dropzone`];
-    if (items.length >= MAX_REFS_PER_CAT) {
+    if (items.length >= limits.maxRefsPerCategory) {
         dropzone.style.display = 'none';
     } else {
         dropzone.style.display = 'flex';
@@ -561,6 +814,215 @@ function renderReferencePreviews(type) {
     }
 }
 
+// ============================================
+// REVERSE PROMPT (IMAGE CAPTIONS)
+// ============================================
+
+// Files from a drop, walking into dropped folders
+async function collectDroppedImages(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files);
+
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            // readEntries returns results in chunks until it yields an empty list
+            while ((batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))).length) {
+                for (const child of batch) await walk(child);
+            }
+        }
+    };
+    for (const entry of entries) await walk(entry);
+    return files;
+}
+
+async function handleCaptionFiles(fileList) {
+    const files = Array.from(fileList || [])
+        .filter(f => f.type.startsWith('image/'))
+        .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+    if (files.length === 0) { toast('No images found', 'error'); return; }
+
+    for (const file of files) {
+        store.captionItems.push({
+            id: generateId(),
+            name: file.name,
+            thumb: await blobToBase64(file),
+            status: 'pending',
+            captions: [],
+            selected: 0,
+            error: null
+        });
+    }
+    renderCaptionList();
+    captionPending();
+}
+
+// Caption queued images one at a time
+async function captionPending() {
+    if (store.isCaptioning) return;
+    if (!store.cookieValid) { toast('Validate cookie first', 'error'); return; }
+
+    store.isCaptioning = true;
+    const count = Math.min(Math.max(parseInt(DOM.captionCount.value) || 1, 1), limits.maxCandidates);
+
+    let item;
+    while ((item = store.captionItems.find(i => i.status === 'pending'))) {
+        item.status = 'processing';
+        renderCaptionList();
+
+        try {
+            const res = await fetch('/api/caption', {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ imageBase64: item.thumb, count })
+            });
+            const data = await res.json();
+
+            if (!data.success && errorCode(res, data) === 'RATE_LIMITED') {
+                // Not the image's fault: put it back and wait as long as the server asks
+                item.status = 'pending';
+                renderCaptionList();
+                await sleep(retryAfterMs(res));
+                continue;
+            }
+
+            if (data.success && data.captions?.length) {
+                item.status = 'done';
+                item.captions = data.captions;
+            } else {
+                item.status = 'error';
+                item.error = data.error || 'No caption returned';
+                if (ERROR_POLICY[errorCode(res, data)] === 'pause') {
+                    updateStatus(false);
+                    toast('Cookie expired. Please re-validate.', 'error');
+                    break;
+                }
+            }
+        } catch (err) {
+            item.status = 'error';
+            item.error = err.message;
+        }
+
+        renderCaptionList();
+        await sleep(1000);
+    }
+
+    store.isCaptioning = false;
+    renderCaptionList();
+}
+
+function captionToPrompt(caption) {
+    const text = caption.replace(/\s+/g, ' ').trim();
+    const prefix = store.stylePrefix.trim();
+    return DOM.captionApplyPrefix.checked && prefix ? `${prefix} ${text}` : text;
+}
+
+function appendPrompts(lines) {
+    if (lines.length === 0) return;
+    const current = DOM.promptsInput.value.trim();
+    const newText = lines.join('\n');
+    DOM.promptsInput.value = current ? current + '\n' + newText : newText;
+    updatePromptCount();
+}
+
+function addCaptionToPrompts(id) {
+    const item = store.captionItems.find(i => i.id === id);
+    if (!item || item.status !== 'done') return;
+    appendPrompts([captionToPrompt(item.captions[item.selected])]);
+    item.added = true;
+    renderCaptionList();
+    toast('Caption added to prompts', 'success');
+}
+
+function addAllCaptionsToPrompts() {
+    const ready = store.captionItems.filter(i => i.status === 'done' && !i.added);
+    if (ready.length === 0) { toast('No new captions to add', 'info'); return; }
+    appendPrompts(ready.map(i => captionToPrompt(i.captions[i.selected])));
+    ready.forEach(i => { i.added = true; });
+    renderCaptionList();
+    toast(`Added ${ready.length} prompt${ready.length !== 1 ? 's' : ''}`, 'success');
+}
+
+function renderCaptionList() {
+    if (!DOM.captionList) return;
+    DOM.captionList.innerHTML = store.captionItems.map(item => {
+        let body;
+        if (item.status === 'done') {
+            body = item.captions.map((c, i) => `
+                <label class="caption-option${i === item.selected ? ' selected' : ''}">
+                    <input type="radio" name="cap-${item.id}" data-caption-id="${item.id}" data-index="${i}" ${i === item.selected ? 'checked' : ''}>
+                    <span>${escapeHtml(c)}</span>
+                </label>`).join('');
+        } else if (item.status === 'error') {
+            body = `<div class="error-hint">${escapeHtml(item.error || 'Failed')}</div>`;
+        } else {
+            body = `<div class="caption-pending">${item.status === 'processing' ? 'Captioning...' : 'Queued'}</div>`;
+        }
+
+        return `<div class="caption-item" data-id="${item.id}">
+            <img src="${item.thumb}" alt="" title="${escapeHtml(item.name)}">
+            <div class="caption-body">
+                ${body}
+                ${item.status === 'done' ? `<button class="btn btn-ghost btn-xs" data-caption-add="${item.id}" ${item.added ? 'disabled' : ''}>${item.added ? 'Added' : '+ Add to prompts'}</button>` : ''}
+            </div>
+        </div>`;
+    }).join('');
+
+    if (DOM.btnCaptionAddAll) {
+        DOM.btnCaptionAddAll.disabled = !store.captionItems.some(i => i.status === 'done' && !i.added);
+    }
+}
+
+function bindCaptionEvents() {
+    if (!DOM.captionDropzone) return;
+
+    DOM.captionToggle.addEventListener('click', () => {
+        DOM.captionToggle.classList.toggle('collapsed');
+        DOM.captionWrap.classList.toggle('collapsed');
+    });
+
+    DOM.captionDropzone.addEventListener('click', () => DOM.captionUpload.click());
+    DOM.captionDropzone.addEventListener('dragover', (e) => { e.preventDefault(); DOM.captionDropzone.classList.add('dragover'); });
+    DOM.captionDropzone.addEventListener('dragleave', () => DOM.captionDropzone.classList.remove('dragover'));
+    DOM.captionDropzone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        DOM.captionDropzone.classList.remove('dragover');
+        handleCaptionFiles(await collectDroppedImages(e.dataTransfer));
+    });
+
+    DOM.btnCaptionFolder.addEventListener('click', () => DOM.captionFolder.click());
+    [DOM.captionUpload, DOM.captionFolder].forEach(input => {
+        input.addEventListener('change', (e) => {
+            handleCaptionFiles(e.target.files);
+            e.target.value = '';
+        });
+    });
+
+    DOM.captionList.addEventListener('change', (e) => {
+        const id = e.target.dataset.captionId;
+        const item = store.captionItems.find(i => i.id === id);
+        if (!item) return;
+        item.selected = parseInt(e.target.dataset.index) || 0;
+        renderCaptionList();
+    });
+    DOM.captionList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-caption-add]');
+        if (btn) addCaptionToPrompts(btn.dataset.captionAdd);
+    });
+
+    DOM.btnCaptionAddAll.addEventListener('click', addAllCaptionsToPrompts);
+    DOM.btnCaptionClear.addEventListener('click', () => {
+        store.captionItems = store.captionItems.filter(i => i.status === 'processing');
+        renderCaptionList();
+    });
+}
+
 // ============================================
 // MOTION BOX / VIDEO ANIMATION
 // ============================================
@@ -568,7 +1030,8 @@ function renderReferencePreviews(type) {
 function updateAnimateButton() {
     if (!DOM.btnAnimateAll) return;
     const hasCompleted = store.jobs.some(j => j.status === 'completed');
-    const hasScripts = DOM.motionPromptsInput && DOM.motionPromptsInput.value.trim().length > 0;
+    const hasScripts = (DOM.motionPromptsInput && DOM.motionPromptsInput.value.trim().length > 0) ||
+        store.jobs.some(j => j.status === 'completed' && j.motionScript);
     DOM.btnAnimateAll.disabled = !hasCompleted || !hasScripts || store.isAnimating || store.isRunning;
 
     const hasVideos = store.jobs.some(j => j.videoStatus === 'animated');
@@ -602,15 +1065,16 @@ async function animateAll() {
 
     const scriptLines = DOM.motionPromptsInput.value.trim()
         .split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'));
-    if (scriptLines.length === 0) { toast('Add motion prompts first', 'error'); return; }
 
     const completedJobs = store.jobs.filter(j => j.status === 'completed');
     if (completedJobs.length === 0) { toast('No completed images to animate', 'error'); return; }
 
-    const pairs = completedJobs.slice(0, scriptLines.length).map((job, i) => ({
-        job,
-        script: scriptLines[i]
-    }));
+    // Images imported with a motion script use it; the others take the Motion Box lines in order
+    let nextLine = 0;
+    const pairs = completedJobs
+        .map(job => ({ job, script: job.motionScript || scriptLines[nextLine++] }))
+        .filter(pair => pair.script);
+    if (pairs.length === 0) { toast('Add motion prompts first', 'error'); return; }
 
     store.isAnimating = true;
     store.animatedCount = 0;
@@ -657,39 +1121,36 @@ async function animateSingleJob(jobId, videoScript) {
 
         const imageBase64 = await blobToBase64(record.blob);
 
-        const res = await fetch('/api/animate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                cookie: store.cookie,
-                imageBase64,
-                imagePrompt: job.prompt,
-                videoScript,
-                model: store.videoModel
-            })
+        const body = JSON.stringify({
+            imageBase64,
+            imagePrompt: job.prompt,
+            videoScript,
+            model: store.videoModel,
+            loop: store.videoLoop
         });
 
-        const data = await res.json();
-
-        if (data.success && data.video) {
-            const videoBlob = await base64ToBlob(data.video, 'video/mp4');
-            const videoBlobUrl = URL.createObjectURL(videoBlob);
-
-            // Revoke old video URL if any
-            if (videoBlobUrls.has(job.id)) URL.revokeObjectURL(videoBlobUrls.get(job.id));
+        // Submissions are rate limited server-side; hold this one back as long as asked
+        let res;
+        while ((res = await fetch('/api/animate', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body
+        })).status === 429) {
+            await sleep(retryAfterMs(res));
+        }
 
-            job.videoStatus = 'animated';
-            job.videoBlobUrl = videoBlobUrl;
-            videoBlobUrls.set(job.id, videoBlobUrl);
+        const data = await res.json();
 
-            await dbSaveVideo(job.id, videoBlob, job.prompt);
-            store.animatedCount++;
+        if (data.success && data.operationId) {
+            // Remember the operation so a reload can pick the result up later
+            job.videoOperationId = data.operationId;
+            saveQueueState();
+            await waitForAnimation(job);
         } else {
             job.videoStatus = 'video-error';
             job.videoError = data.error || 'Unknown error';
-            store.animationErrors++;
 
-            if (res.status === 401 || data.error?.includes('401')) {
+            if (ERROR_POLICY[errorCode(res, data)] === 'pause') {
                 updateStatus(false);
                 toast('Cookie expired during animation. Please re-validate.', 'error');
             }
@@ -697,11 +1158,80 @@ async function animateSingleJob(jobId, videoScript) {
     } catch (err) {
         job.videoStatus = 'video-error';
         job.videoError = err.message;
-        store.animationErrors++;
     }
 
+    if (job.videoStatus === 'animated') store.animatedCount++;
+    else store.animationErrors++;
+
     updateCard(job.id);
     updateAnimateButton();
+    saveQueueState();
+}
+
+// Poll the server-side animation operation, then download the finished clip
+async function waitForAnimation(job) {
+    const headers = authHeaders();
+
+    while (true) {
+        const res = await fetch(`/api/animate/${job.videoOperationId}`, { headers });
+        const data = await res.json();
+
+        if (!data.success) {
+            job.videoStatus = 'video-error';
+            job.videoError = data.error || 'Animation lost';
+            break;
+        }
+
+        const op = data.operation;
+        if (op.status === 'completed') {
+            const videoRes = await fetch(op.videoUrl, { headers });
+            if (!videoRes.ok) throw new Error(`Video download failed (HTTP ${videoRes.status})`);
+            const videoBlob = await videoRes.blob();
+
+            // Revoke old video URL if any
+            if (videoBlobUrls.has(job.id)) URL.revokeObjectURL(videoBlobUrls.get(job.id));
+
+            job.videoBlobUrl = URL.createObjectURL(videoBlob);
+            videoBlobUrls.set(job.id, job.videoBlobUrl);
+            await dbSaveVideo(job.id, videoBlob, job.prompt);
+
+            job.videoStatus = 'animated';
+            break;
+        }
+        if (op.status === 'failed') {
+            job.videoStatus = 'video-error';
+            job.videoError = op.error || 'Animation failed';
+            break;
+        }
+
+        await sleep(limits.animationPollMs);
+    }
+
+    job.videoOperationId = null;
+}
+
+// Animations still running when the tab was closed: keep waiting for them
+async function resumeAnimations() {
+    const pending = store.jobs.filter(j => j.videoStatus === 'animating' && j.videoOperationId);
+    for (const job of pending) {
+        try {
+            await waitForAnimation(job);
+        } catch (err) {
+            job.videoStatus = 'video-error';
+            job.videoError = err.message;
+        }
+        updateCard(job.id);
+        updateAnimateButton();
+        saveQueueState();
+    }
+}
+
+// File name inside a ZIP: the imported filename if the prompt had one, kept unique with _2, _3...
+function zipEntryName(base, ext, used) {
+    let name = `${base}.${ext}`;
+    for (let n = 2; used.has(name); n++) name = `${base}_${n}.${ext}`;
+    used.add(name);
+    return name;
 }
 
 async function downloadAllVideos() {
@@ -714,6 +1244,7 @@ async function downloadAllVideos() {
 
     try {
         const zip = new JSZip();
+        const used = new Set();
         let count = 0;
 
         for (const job of animated) {
@@ -721,7 +1252,7 @@ async function downloadAllVideos() {
                 const record = await dbGetVideo(job.id);
                 if (record && record.blob) {
                     count++;
-                    zip.file(`${count}.mp4`, record.blob);
+                    zip.file(zipEntryName(job.filename || String(count), 'mp4', used), record.blob);
                 }
             } catch { }
         }
@@ -745,12 +1276,9 @@ async function downloadAllVideos() {
 // CLIENT-SIDE QUEUE ENGINE
 // ============================================
 
-const BASE_DELAY = 5000;
-const MAX_BACKOFF = 32000;
-
 function getBackoffDelay() {
-    if (store.consecutiveErrors === 0) return BASE_DELAY;
-    return Math.min(BASE_DELAY * Math.pow(2, store.consecutiveErrors), MAX_BACKOFF);
+    if (store.consecutiveErrors === 0) return limits.baseDelay;
+    return Math.min(limits.baseDelay * Math.pow(2, store.consecutiveErrors), limits.maxBackoff);
 }
 
 function buildJobList() {
@@ -759,15 +1287,28 @@ function buildJobList() {
     const prefix = store.stylePrefix.trim();
 
     const jobs = [];
+    const seen = new Map();     // prompt text → occurrences so far
     for (const text of promptTexts) {
-        const fullPrompt = prefix ? `${prefix} ${text}` : text;
-        for (let i = 0; i < count; i++) {
+        // Captions added with "apply style prefix" already carry it
+        const fullPrompt = prefix && !text.startsWith(prefix) ? `${prefix} ${text}` : text;
+        // Options imported with the prompt override the sidebar settings; the nth copy of a text gets the nth entry
+        const occurrence = seen.get(text) || 0;
+        seen.set(text, occurrence + 1);
+        const imported = store.promptOptions.get(text) || [];
+        const options = imported[Math.min(occurrence, imported.length - 1)] || {};
+        const copies = options.count || count;
+        for (let i = 0; i < copies; i++) {
             jobs.push({
                 id: generateId(),
                 prompt: fullPrompt,
                 status: 'pending',
                 blobUrl: null,
                 error: null,
+                aspectRatio: options.aspectRatio,
+                requestedSeed: options.seed,
+                filename: options.filename && copies > 1 ? `${options.filename}_${i + 1}` : options.filename,
+                motionScript: options.motionScript,
+                cue: options.cue,
                 videoBlobUrl: null,
                 videoStatus: null,
                 videoError: null
@@ -782,7 +1323,10 @@ async function startGeneration() {
     if (promptTexts.length === 0) { toast('Add prompts first', 'error'); return; }
     if (!store.cookieValid) { toast('Validate cookie first', 'error'); return; }
 
-    store.jobs = buildJobList();
+    const jobs = buildJobList();
+    if (store.serverMode && !(await createServerJob(jobs))) return;
+
+    store.jobs = jobs;
     store.totalCount = store.jobs.length;
     store.completedCount = 0;
     store.failedCount = 0;
@@ -791,7 +1335,7 @@ async function startGeneration() {
     store.isPaused = false;
 
     DOM.btnStart.disabled = true;
-    DOM.btnPause.disabled = false;
+    DOM.btnPause.disabled = !!store.serverJobId; // server jobs can only be stopped
     DOM.btnStop.disabled = false;
     DOM.mainProgress.style.display = 'block';
     DOM.progressFill.style.width = '0%';
@@ -799,13 +1343,17 @@ async function startGeneration() {
     renderGrid();
     updateSidebarProgress();
     saveQueueState();
-    toast(`Started: ${store.totalCount} images`, 'success');
+    toast(`Started: ${store.totalCount} images${store.serverJobId ? ' on server' : ''}`, 'success');
 
-    processQueue();
+    if (store.serverJobId) {
+        followServerJob();
+    } else {
+        processQueue();
+    }
 }
 
 async function processQueue() {
-    if (!store.isRunning || store.isPaused) return;
+    if (!store.isRunning || store.isPaused || store.serverJobId) return;
 
     const nextJob = store.jobs.find(j => j.status === 'pending');
     if (!nextJob) {
@@ -828,73 +1376,87 @@ async function processQueue() {
         return;
     }
 
-    nextJob.status = 'processing';
-    updateCard(nextJob.id);
-
-    const references = [];
+    const references = collectReferences();
 
-    store.refSubject.forEach(ref => references.push({ category: 'SUBJECT', image: ref.image, caption: ref.caption }));
-    store.refStyle.forEach(ref => references.push({ category: 'STYLE', image: ref.image, caption: ref.caption }));
-    store.refScene.forEach(ref => references.push({ category: 'SCENE', image: ref.image, caption: ref.caption }));
+    // Without references, identical prompts go out as one multi-candidate request
+    const batch = references.length === 0 ? collectCandidateBatch(nextJob) : [nextJob];
+    batch.forEach(job => {
+        job.status = 'processing';
+        updateCard(job.id);
+    });
 
     try {
-        const res = await fetch('/api/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                cookie: store.cookie,
-                prompt: nextJob.prompt,
-                aspectRatio: store.aspectRatio,
-                references
-            })
-        });
+        const { res, data, images } = references.length === 0
+            ? await requestCandidates(nextJob, batch.length)
+            : await requestImage(nextJob, references);
+
+        const code = data.success && images.length > 0 ? null : errorCode(res, data);
+
+        if (code === 'RATE_LIMITED') {
+            // Rate limited here or upstream: requeue without counting an error and wait as told
+            const wait = retryAfterMs(res);
+            batch.forEach(job => {
+                job.status = 'pending';
+                updateCard(job.id);
+            });
+            toast(`Rate limited, resuming in ${Math.ceil(wait / 1000)}s`, 'info');
+            await sleep(wait);
+            processQueue();
+            return;
+        }
 
-        const data = await res.json();
+        if (data.success && images.length > 0) {
+            for (let i = 0; i < batch.length; i++) {
+                const job = batch[i];
+                if (!images[i]) {
+                    job.status = 'error';
+                    job.error = 'No image returned';
+                    store.failedCount++;
+                    continue;
+                }
 
-        if (data.success && data.image) {
-            const blob = await base64ToBlob(data.image);
-            const blobUrl = URL.createObjectURL(blob);
+                const blob = await base64ToBlob(images[i].image);
+                const blobUrl = URL.createObjectURL(blob);
 
-            nextJob.status = 'completed';
-            nextJob.blobUrl = blobUrl;
-            blobUrls.set(nextJob.id, blobUrl);
+                job.status = 'completed';
+                job.blobUrl = blobUrl;
+                job.errorCode = null;
+                recordWording(job, data);
+                job.seed = images[i].seed ?? null;
+                job.mediaId = images[i].mediaId || null;
+                blobUrls.set(job.id, blobUrl);
+                store.completedCount++;
 
-            store.completedCount++;
+                // Persist image to IndexedDB
+                await dbSaveImage(job.id, blob, job.prompt);
+            }
             store.consecutiveErrors = 0;
-
-            // Persist image to IndexedDB
-            await dbSaveImage(nextJob.id, blob, nextJob.prompt);
+        } else if (ERROR_POLICY[code] === 'pause') {
+            // Not the prompts' fault: keep them queued for after the cookie is re-validated
+            batch.forEach(job => { job.status = 'pending'; });
+            store.isPaused = true;
+            updateStatus(false);
+            toast('Cookie expired. Please paste a new cookie and validate.', 'error');
+            DOM.btnPause.innerHTML = svgPlay + ' Resume';
         } else {
-            nextJob.status = 'error';
-            nextJob.error = data.error || 'Unknown error';
-            store.failedCount++;
-            store.consecutiveErrors++;
-
-            // Cookie expired?
-            if (res.status === 401 || (data.error && data.error.includes('401'))) {
-                store.isPaused = true;
-                updateStatus(false);
-                toast('Cookie expired. Please paste a new cookie and validate.', 'error');
-                DOM.btnPause.innerHTML = svgPlay + ' Resume';
-            }
+            failOrRetry(batch, code, data.error || (data.success ? 'No image returned' : 'Unknown error'), data.blockedPrompts);
         }
     } catch (err) {
-        nextJob.status = 'error';
-        nextJob.error = err.message;
-        store.failedCount++;
-        store.consecutiveErrors++;
+        // Network failure or a non-JSON reply from a proxy in between
+        failOrRetry(batch, 'UPSTREAM_UNAVAILABLE', err.message);
     }
 
-    updateCard(nextJob.id);
+    batch.forEach(job => updateCard(job.id));
     updateProgressBar();
     updateSidebarProgress();
     saveQueueState();
+    refreshAccountsSoon();
 
     if (!store.isRunning || store.isPaused) return;
 
     // Rate limit delay with backoff
     const delay = getBackoffDelay();
-    if (delay > BASE_DELAY) {
+    if (delay > limits.baseDelay) {
         console.log(`[Queue] Backoff: ${delay}ms (${store.consecutiveErrors} errors)`);
     }
     await sleep(delay);
@@ -903,6 +1465,146 @@ async function processQueue() {
     processQueue();
 }
 
+// Retryable errors put the prompts back in the queue until limits.maxAttempts; the rest fail them
+function failOrRetry(batch, code, message, blockedPrompts = []) {
+    const retry = ERROR_POLICY[code] === 'retry';
+
+    batch.forEach(job => {
+        job.attempts = (job.attempts || 0) + 1;
+        job.errorCode = code;
+        if (retry && job.attempts < limits.maxAttempts) {
+            job.status = 'pending';
+            return;
+        }
+        job.status = 'error';
+        job.error = message;
+        if (code === 'SAFETY_BLOCKED') job.blockedPrompts = blockedPrompts.length ? blockedPrompts : [job.prompt];
+        store.failedCount++;
+    });
+
+    // A refused prompt says nothing about the cookie or Whisk, so it doesn't count toward the pause
+    if (code !== 'SAFETY_BLOCKED') store.consecutiveErrors++;
+}
+
+// Keep the wording that went through and the ones the safety filter refused on the way
+function recordWording(job, data) {
+    job.finalPrompt = data.finalPrompt && data.finalPrompt !== job.prompt ? data.finalPrompt : null;
+    job.blockedPrompts = data.blockedPrompts || [];
+}
+
+// Reference panel entries in upload order: { type, ref }
+function referenceSources() {
+    return [
+        ...store.refSubject.map(ref => ({ type: 'subject', ref })),
+        ...store.refStyle.map(ref => ({ type: 'style', ref })),
+        ...store.refScene.map(ref => ({ type: 'scene', ref }))
+    ];
+}
+
+function collectReferences() {
+    return referenceSources().map(({ type, ref }) => ({ category: type.toUpperCase(), image: ref.image, caption: ref.caption }));
+}
+
+// Pending jobs sharing the first job's prompt (count copies), up to the ImageFX limit.
+// Seed variants stay single so the pinned seed applies to exactly one image.
+function collectCandidateBatch(first) {
+    if (first.requestedSeed !== undefined) return [first];
+    return store.jobs
+        .filter(j => j.status === 'pending' && j.prompt === first.prompt && j.aspectRatio === first.aspectRatio && j.requestedSeed === undefined)
+        .slice(0, limits.maxCandidates);
+}
+
+// Uploaded reference set reused across prompts: { key, id }
+let referenceSession = null;
+
+// Cheap fingerprint so edits to the reference panel start a new session
+function referencesKey(references) {
+    return references.map(r => `${r.category}:${r.caption || ''}:${r.image.length}:${r.image.slice(-64)}`).join('|');
+}
+
+// Returns { id } for a live session, or { res, data } when the upload failed
+async function ensureReferenceSession(references) {
+    const key = referencesKey(references);
+    if (referenceSession?.key === key) return { id: referenceSession.id };
+
+    dropReferenceSession();
+
+    const res = await fetch('/api/references', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ references })
+    });
+    const data = await res.json();
+    if (!data.success) return { res, data };
+
+    // Show the captions Whisk generated for references left blank, so they can be edited
+    const sources = referenceSources();
+    data.session.references.forEach((uploaded, i) => {
+        const source = sources[i];
+        if (!source || source.ref.caption) return;
+        source.ref.caption = uploaded.caption;
+        refreshReferenceCaption(source.type, source.ref);
+    });
+
+    referenceSession = { key: referencesKey(collectReferences()), id: data.session.id };
+    return { id: referenceSession.id };
+}
+
+function dropReferenceSession() {
+    if (!referenceSession) return;
+    fetch(`/api/references/${referenceSession.id}`, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+    referenceSession = null;
+}
+
+// Request fields asking the server to reword prompts the safety filter blocks
+function rewordOptions() {
+    if (!store.reword) return {};
+    return store.rewordRules.trim() ? { reword: true, rewordRules: store.rewordRules } : { reword: true };
+}
+
+async function requestImage(job, references, retried = false) {
+    const session = await ensureReferenceSession(references);
+    if (!session.id) return { res: session.res, data: session.data, images: [] };
+
+    const res = await fetch('/api/generate', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+            prompt: job.prompt,
+            aspectRatio: job.aspectRatio || store.aspectRatio,
+            seed: job.requestedSeed,
+            referenceSessionId: session.id,
+            ...rewordOptions()
+        })
+    });
+    const data = await res.json();
+
+    // Session expired or the server restarted: upload once more and retry
+    if (res.status === 410 && !retried) {
+        referenceSession = null;
+        return requestImage(job, references, true);
+    }
+
+    const images = data.success && data.image ? [{ image: data.image, seed: data.seed, mediaId: data.mediaId }] : [];
+    return { res, data, images };
+}
+
+async function requestCandidates(job, count) {
+    const res = await fetch('/api/generate/candidates', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+            prompt: job.prompt,
+            aspectRatio: job.aspectRatio || store.aspectRatio,
+            seed: job.requestedSeed,
+            count,
+            ...rewordOptions()
+        })
+    });
+    const data = await res.json();
+    return { res, data, images: data.images || [] };
+}
+
 function pauseGeneration() {
     if (!store.isRunning) return;
 
@@ -923,6 +1625,11 @@ function pauseGeneration() {
 }
 
 function cancelGeneration() {
+    if (store.serverJobId) {
+        cancelServerJob();
+        return;
+    }
+
     store.isRunning = false;
     store.isPaused = false;
 
@@ -940,11 +1647,16 @@ function cancelGeneration() {
 }
 
 function retryErrors() {
+    if (store.serverJobId) { toast('Wait for the server job to finish', 'info'); return; }
+
     let count = 0;
     store.jobs.forEach(j => {
         if (j.status === 'error') {
             j.status = 'pending';
             j.error = null;
+            j.errorCode = null;
+            j.attempts = 0;
+            j.blockedPrompts = [];
             count++;
         }
     });
@@ -974,6 +1686,223 @@ function resetControls() {
     DOM.btnPause.innerHTML = svgPause + ' Pause';
 }
 
+// ============================================
+// SERVER-SIDE JOBS (SSE)
+// ============================================
+
+let _serverStream = null;   // AbortController for the active event stream
+
+// Submit the batch to /api/jobs and link each card to its server prompt
+async function createServerJob(jobs) {
+    try {
+        const res = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                prompts: jobs.map(j => ({ text: j.prompt, aspectRatio: j.aspectRatio, seed: j.requestedSeed, cue: j.cue })),
+                aspectRatio: store.aspectRatio,
+                ...rewordOptions()
+            })
+        });
+        const data = await res.json();
+
+        if (!data.success) {
+            toast('Could not start server job: ' + (data.error || 'Unknown error'), 'error');
+            return false;
+        }
+
+        data.job.prompts.forEach((p, i) => { if (jobs[i]) jobs[i].promptId = p.id; });
+        store.serverJobId = data.job.id;
+        store.lastEventId = 0;
+        return true;
+    } catch (err) {
+        toast('Could not start server job: ' + err.message, 'error');
+        return false;
+    }
+}
+
+async function cancelServerJob() {
+    try {
+        await fetch(`/api/jobs/${store.serverJobId}/cancel`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+    } catch (err) {
+        toast('Cancel failed: ' + err.message, 'error');
+    }
+}
+
+function stopServerStream() {
+    if (_serverStream) _serverStream.abort();
+    _serverStream = null;
+}
+
+// fetch-based SSE reader (EventSource can't send the cookie header).
+// Reconnects with Last-Event-ID so events missed while offline are replayed.
+async function followServerJob() {
+    stopServerStream();
+    const controller = new AbortController();
+    _serverStream = controller;
+    const jobId = store.serverJobId;
+
+    while (!controller.signal.aborted && store.serverJobId === jobId) {
+        try {
+            const res = await fetch(`/api/jobs/${jobId}/events`, {
+                headers: authHeaders({ 'Last-Event-ID': String(store.lastEventId) }),
+                signal: controller.signal
+            });
+
+            if (res.status === 404) {
+                toast('Server job no longer exists', 'error');
+                finishServerJob();
+                return;
+            }
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const frame = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    parseSseFrame(frame);
+                }
+            }
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            console.warn('[SSE] Stream error:', err.message);
+        }
+
+        if (!controller.signal.aborted) await sleep(3000);
+    }
+}
+
+function parseSseFrame(frame) {
+    let id = null;
+    let data = '';
+    for (const line of frame.split('\n')) {
+        if (line.startsWith('id:')) id = parseInt(line.slice(3).trim(), 10);
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+
+    try {
+        handleServerEvent(JSON.parse(data));
+    } catch (err) {
+        console.error('[SSE] Bad event:', err);
+    }
+    if (id) {
+        store.lastEventId = Math.max(store.lastEventId, id);
+        saveQueueState();
+    }
+}
+
+function handleServerEvent(event) {
+    if (event.type === 'server-shutdown') {
+        toast('Server is restarting, the job resumes when it is back', 'info');
+        return;
+    }
+    if (event.jobId !== store.serverJobId) return;
+    refreshAccountsSoon();
+    const job = event.promptId ? store.jobs.find(j => j.promptId === event.promptId) : null;
+
+    switch (event.type) {
+        case 'prompt-processing':
+            if (!job) return;
+            job.status = 'processing';
+            updateCard(job.id);
+            break;
+
+        case 'prompt-completed':
+            if (!job) return;
+            job.status = 'completed';
+            job.error = null;
+            recordWording(job, event);
+            updateCard(job.id);
+            if (!job.blobUrl) loadServerImage(job, event.imageUrl);
+            break;
+
+        case 'prompt-error':
+            if (!job) return;
+            job.status = 'error';
+            job.error = event.error || 'Unknown error';
+            job.errorCode = event.code || null;
+            job.blockedPrompts = event.blockedPrompts || [];
+            updateCard(job.id);
+            if (ERROR_POLICY[event.code] === 'pause') {
+                updateStatus(false);
+                toast('Cookie expired. Please paste a new cookie and validate.', 'error');
+            }
+            break;
+
+        case 'prompt-interrupted':
+            // Cut off by a server restart; the worker picks it up again
+            if (!job) return;
+            job.status = 'pending';
+            updateCard(job.id);
+            break;
+
+        case 'job-completed':
+        case 'job-cancelled':
+            finishServerJob(event);
+            return;
+    }
+
+    recountServerProgress();
+}
+
+// Pull a finished image from the server into IndexedDB like a client-side result
+async function loadServerImage(job, imageUrl) {
+    try {
+        const res = await fetch(imageUrl, { headers: authHeaders() });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const blob = await res.blob();
+
+        job.blobUrl = URL.createObjectURL(blob);
+        blobUrls.set(job.id, job.blobUrl);
+        await dbSaveImage(job.id, blob, job.prompt);
+    } catch (err) {
+        console.warn(`[SSE] Could not load ${imageUrl}:`, err.message);
+    }
+    updateCard(job.id);
+}
+
+function recountServerProgress() {
+    store.completedCount = store.jobs.filter(j => j.status === 'completed').length;
+    store.failedCount = store.jobs.filter(j => j.status === 'error').length;
+    updateProgressBar();
+    updateSidebarProgress();
+    saveQueueState();
+}
+
+function finishServerJob(event) {
+    stopServerStream();
+    store.serverJobId = null;
+    store.isRunning = false;
+
+    // Anything the worker never reached stays pending (e.g. after cancel)
+    store.jobs.forEach(j => { if (j.status === 'processing') j.status = 'pending'; });
+    renderGrid();
+    recountServerProgress();
+    resetControls();
+    updateAnimateButton();
+
+    if (event?.type === 'job-cancelled') {
+        toast('Server job stopped', 'info');
+    } else if (event?.error) {
+        toast(`Server job stopped: ${event.error}`, 'error');
+    } else if (event) {
+        toast(`Done! ${store.completedCount} generated${store.failedCount > 0 ? `, ${store.failedCount} failed` : ''}`, 'success');
+    }
+    saveQueueStateImmediate();
+}
+
 // ============================================
 // PROGRESS
 // ============================================
@@ -1012,11 +1941,29 @@ function _doSaveQueueState() {
         id: j.id,
         prompt: j.prompt,
         status: j.status,
-        error: j.error
+        error: j.error,
+        errorCode: j.errorCode,
+        finalPrompt: j.finalPrompt,
+        blockedPrompts: j.blockedPrompts,
+        promptId: j.promptId,
+        seed: j.seed,
+        requestedSeed: j.requestedSeed,
+        aspectRatio: j.aspectRatio,
+        filename: j.filename,
+        motionScript: j.motionScript,
+        cue: j.cue,
+        mediaId: j.mediaId,
+        versions: j.versions,
+        versionIndex: j.versionIndex,
+        videoStatus: j.videoStatus,
+        videoError: j.videoError,
+        videoOperationId: j.videoOperationId
     }));
 
     localStorage.setItem('bulkmass_queue', JSON.stringify({
         jobs: meta,
+        serverJobId: store.serverJobId,
+        lastEventId: store.lastEventId,
         isRunning: store.isRunning,
         isPaused: store.isPaused,
         completedCount: store.completedCount,
@@ -1033,12 +1980,33 @@ async function restoreQueueState() {
         const data = JSON.parse(saved);
         if (!data.jobs || data.jobs.length === 0) return;
 
+        store.serverJobId = data.serverJobId || null;
+        store.lastEventId = data.lastEventId || 0;
+
         store.jobs = data.jobs.map(j => ({
             id: j.id,
             prompt: j.prompt,
-            status: j.status === 'processing' ? 'pending' : j.status, // Reset any in-progress
+            // Reset any in-progress (server jobs keep theirs; SSE replay corrects them)
+            status: j.status === 'processing' && !store.serverJobId ? 'pending' : j.status,
             blobUrl: null,
-            error: j.error
+            error: j.error,
+            errorCode: j.errorCode || null,
+            finalPrompt: j.finalPrompt || null,
+            blockedPrompts: j.blockedPrompts || [],
+            promptId: j.promptId,
+            seed: j.seed ?? null,
+            requestedSeed: j.requestedSeed,
+            aspectRatio: j.aspectRatio,
+            filename: j.filename,
+            motionScript: j.motionScript,
+            cue: j.cue,
+            mediaId: j.mediaId || null,
+            versions: j.versions || [],
+            versionIndex: j.versionIndex || 0,
+            videoStatus: j.videoStatus || null,
+            videoError: j.videoError || null,
+            videoOperationId: j.videoOperationId || null,
+            videoBlobUrl: null
         }));
 
         store.completedCount = data.completedCount || 0;
@@ -1054,10 +2022,24 @@ async function restoreQueueState() {
                         job.blobUrl = URL.createObjectURL(record.blob);
                         blobUrls.set(job.id, job.blobUrl);
                     }
+                    if (job.videoStatus === 'animated') {
+                        const video = await dbGetVideo(job.id);
+                        if (video?.blob) {
+                            job.videoBlobUrl = URL.createObjectURL(video.blob);
+                            videoBlobUrls.set(job.id, job.videoBlobUrl);
+                        } else {
+                            job.videoStatus = null;
+                        }
+                    }
                 } catch { }
             })
         );
 
+        // An animation interrupted without an operation id can't be recovered
+        store.jobs.forEach(j => {
+            if (j.videoStatus === 'animating' && !j.videoOperationId) j.videoStatus = null;
+        });
+
         renderGrid();
         updateSidebarProgress();
 
@@ -1065,6 +2047,16 @@ async function restoreQueueState() {
             DOM.mainProgress.style.display = 'block';
             updateProgressBar();
         }
+
+        if (store.sessionToken) resumeAnimations();
+
+        // Batch kept running on the server while the tab was closed: catch up
+        if (store.serverJobId && store.sessionToken) {
+            store.isRunning = true;
+            DOM.btnStart.disabled = true;
+            DOM.btnStop.disabled = false;
+            followServerJob();
+        }
     } catch (e) {
         console.error('[Restore] Error:', e);
     }
@@ -1140,9 +2132,11 @@ function buildCard(job) {
         pending: '<span class="status-badge status-pending">Pending</span>',
         processing: '<span class="status-badge status-processing">Processing</span>',
         completed: '<span class="status-badge status-completed">Completed</span>',
-        error: `<span class="status-badge status-error" title="${escapeHtml(job.error || '')}">Error</span>`
+        error: `<span class="status-badge status-error" title="${escapeHtml(job.error || '')}">${job.errorCode === 'SAFETY_BLOCKED' ? 'Blocked' : 'Error'}</span>`
     };
 
+    const shownPrompt = job.finalPrompt || job.prompt;
+
     const videoBadge = job.videoStatus === 'animated'
         ? '<span class="status-badge status-video">Video</span>'
         : job.videoStatus === 'animating'
@@ -1151,6 +2145,24 @@ function buildCard(job) {
                 ? `<span class="status-badge status-error" title="${escapeHtml(job.videoError || '')}">Vid Err</span>`
                 : '';
 
+    const versionBadge = job.refining
+        ? '<span class="status-badge status-processing">Refining</span>'
+        : job.versions?.length > 1
+            ? `<span class="status-badge status-video" title="Refined version">v${job.versionIndex}</span>`
+            : '';
+
+    const wordingBadge = job.finalPrompt
+        ? `<span class="status-badge status-video" title="Original prompt: ${escapeHtml(job.prompt)}">Reworded</span>`
+        : '';
+
+    const seedBadge = job.seed !== null && job.seed !== undefined
+        ? `<span class="card-seed" title="Seed${job.requestedSeed !== undefined ? ' (reused)' : ''}">#${job.seed}</span>`
+        : '';
+
+    const cueBadge = job.cue
+        ? `<span class="card-cue" title="Subtitle cue ${job.cue.start} → ${job.cue.end}">${job.cue.start.replace(/^00:/, '')}</span>`
+        : '';
+
     const videoBtn = job.videoStatus === 'animated' && job.videoBlobUrl
         ? `<button class="card-btn" data-action="download-video" data-id="${job.id}" title="Download Video">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1162,11 +2174,15 @@ function buildCard(job) {
     return `<div class="result-card ${statusClass}" data-id="${job.id}">
         <div class="card-image-wrap">${imageHtml}</div>
         <div class="card-body">
-            <div class="card-prompt" title="${escapeHtml(job.prompt)}">${escapeHtml(job.prompt)}</div>
+            <div class="card-prompt" title="${escapeHtml(shownPrompt)}">${escapeHtml(shownPrompt)}</div>
             <div class="card-footer">
                 <div class="card-badges">
                     ${statusBadges[job.status] || statusBadges.pending}
                     ${videoBadge}
+                    ${versionBadge}
+                    ${wordingBadge}
+                    ${seedBadge}
+                    ${cueBadge}
                 </div>
                 <div class="card-actions">
                     ${job.status === 'error' ? `
@@ -1181,6 +2197,13 @@ function buildCard(job) {
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
                     </button>
                     ${videoBtn}
+                    <button class="card-btn" data-action="refine" data-id="${job.id}" title="Refine" ${!job.blobUrl || job.refining ? 'disabled' : ''}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M15 4V2"/><path d="M15 16v-2"/><path d="M8 9h2"/><path d="M20 9h2"/><path d="M17.8 11.8L19 13"/><path d="M15 9h0"/><path d="M17.8 6.2L19 5"/><path d="M3 21l9-9"/><path d="M12.2 6.2L11 5"/></svg>
+                    </button>
+                    ${job.seed !== null && job.seed !== undefined ? `
+                    <button class="card-btn" data-action="reuse-seed" data-id="${job.id}" title="Reuse Seed">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+                    </button>` : ''}
                     <button class="card-btn" data-action="preview" data-id="${job.id}" title="Preview" ${!job.blobUrl ? 'disabled' : ''}>
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
                     </button>
@@ -1207,7 +2230,7 @@ function handleCardAction(action, jobId) {
             if (job.blobUrl) {
                 const a = document.createElement('a');
                 a.href = job.blobUrl;
-                a.download = `bulkmass_${job.id}.png`;
+                a.download = `${job.filename || `bulkmass_${job.id}`}.png`;
                 a.click();
             }
             break;
@@ -1216,20 +2239,28 @@ function handleCardAction(action, jobId) {
             if (job.videoBlobUrl) {
                 const a = document.createElement('a');
                 a.href = job.videoBlobUrl;
-                a.download = `bulkmass_${job.id}.mp4`;
+                a.download = `${job.filename || `bulkmass_${job.id}`}.mp4`;
                 a.click();
             }
             break;
 
         case 'preview':
-            if (job.blobUrl) openLightbox(job.blobUrl);
+            if (job.blobUrl) openLightbox(job);
+            break;
+
+        case 'refine':
+            if (job.blobUrl) {
+                openLightbox(job);
+                DOM.refineInput?.focus();
+            }
             break;
 
         case 'edit':
-            editingJobId = jobId;
-            DOM.editPromptInput.value = job.prompt;
-            DOM.editModal.style.display = 'flex';
-            DOM.editPromptInput.focus();
+            openEditModal(job, null);
+            break;
+
+        case 'reuse-seed':
+            openEditModal(job, job);
             break;
 
         case 'regenerate':
@@ -1252,8 +2283,11 @@ async function deleteJob(jobId) {
         blobUrls.delete(jobId);
     }
 
-    // Remove from IndexedDB
+    // Remove from IndexedDB (current image and any refine versions)
     try { await dbDeleteImage(jobId); } catch { }
+    for (const version of store.jobs[idx].versions || []) {
+        try { await dbDeleteImage(version.key); } catch { }
+    }
 
     // Remove from state
     if (store.jobs[idx].status === 'completed') store.completedCount--;
@@ -1280,30 +2314,19 @@ async function regenerateSingleJob(jobId) {
     if (job.status === 'error') store.failedCount--;
     job.status = 'processing';
     job.error = null;
+    job.errorCode = null;
     updateCard(job.id);
     saveQueueState();
 
-    const references = [];
-    store.refSubject.forEach(ref => references.push({ category: 'SUBJECT', image: ref.image, caption: ref.caption }));
-    store.refStyle.forEach(ref => references.push({ category: 'STYLE', image: ref.image, caption: ref.caption }));
-    store.refScene.forEach(ref => references.push({ category: 'SCENE', image: ref.image, caption: ref.caption }));
+    const references = collectReferences();
 
     try {
-        const res = await fetch('/api/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                cookie: store.cookie,
-                prompt: job.prompt,
-                aspectRatio: store.aspectRatio,
-                references
-            })
-        });
-
-        const data = await res.json();
+        const { res, data, images } = references.length === 0
+            ? await requestCandidates(job, 1)
+            : await requestImage(job, references);
 
-        if (data.success && data.image) {
-            const blob = await base64ToBlob(data.image);
+        if (data.success && images.length > 0) {
+            const blob = await base64ToBlob(images[0].image);
             const blobUrl = URL.createObjectURL(blob);
 
             // Revoke old blob URL if any
@@ -1313,6 +2336,11 @@ async function regenerateSingleJob(jobId) {
 
             job.status = 'completed';
             job.blobUrl = blobUrl;
+            recordWording(job, data);
+            job.seed = images[0].seed ?? null;
+            job.mediaId = images[0].mediaId || null;
+            job.versions = [];
+            job.versionIndex = 0;
             blobUrls.set(job.id, blobUrl);
             store.completedCount++;
 
@@ -1321,10 +2349,12 @@ async function regenerateSingleJob(jobId) {
         } else {
             job.status = 'error';
             job.error = data.error || 'Unknown error';
+            job.errorCode = errorCode(res, data);
+            if (job.errorCode === 'SAFETY_BLOCKED') job.blockedPrompts = data.blockedPrompts || [job.prompt];
             store.failedCount++;
             toast('Regeneration failed: ' + job.error, 'error');
 
-            if (res.status === 401 || (data.error && data.error.includes('401'))) {
+            if (ERROR_POLICY[errorCode(res, data)] === 'pause') {
                 updateStatus(false);
                 toast('Cookie expired. Please re-validate.', 'error');
             }
@@ -1346,14 +2376,193 @@ async function regenerateSingleJob(jobId) {
 // LIGHTBOX
 // ============================================
 
-function openLightbox(url) {
-    DOM.lightboxImg.src = url;
+let lightboxJobId = null;
+const versionBlobUrls = new Map();  // IndexedDB key -> blob URL for version thumbnails
+
+function openLightbox(job) {
+    lightboxJobId = job.id;
+    DOM.lightboxImg.src = job.blobUrl;
     DOM.lightbox.classList.add('open');
+    if (DOM.refineInput) DOM.refineInput.value = '';
+    renderLightboxPanel();
 }
 
 function closeLightbox() {
     DOM.lightbox.classList.remove('open');
     DOM.lightboxImg.src = '';
+    lightboxJobId = null;
+    for (const [, url] of versionBlobUrls) URL.revokeObjectURL(url);
+    versionBlobUrls.clear();
+}
+
+// Before/after slider (current version vs. the one it was refined from) and version strip
+async function renderLightboxPanel() {
+    const job = store.jobs.find(j => j.id === lightboxJobId);
+    if (!job || !DOM.lightboxPanel) return;
+
+    DOM.lightboxImg.src = job.blobUrl || '';
+    DOM.btnRefine.disabled = !!job.refining || !job.blobUrl;
+    DOM.btnRefine.textContent = job.refining ? 'Refining...' : 'Refine';
+
+    const versions = job.versions || [];
+    const parent = versions[job.versionIndex]?.parent;
+    if (parent !== null && parent !== undefined) {
+        DOM.lightboxBefore.src = await getVersionUrl(versions[parent].key);
+        DOM.compareOverlay.style.display = 'block';
+        DOM.compareSlider.style.display = 'block';
+        updateCompareSlider();
+    } else {
+        DOM.compareOverlay.style.display = 'none';
+        DOM.compareSlider.style.display = 'none';
+    }
+
+    DOM.versionStrip.innerHTML = '';
+    if (versions.length < 2) return;
+    for (let i = 0; i < versions.length; i++) {
+        const btn = document.createElement('button');
+        btn.className = `version-thumb${i === job.versionIndex ? ' active' : ''}`;
+        btn.title = versions[i].edit ? `v${i}: ${versions[i].edit}` : 'Original';
+        btn.innerHTML = `<img src="${await getVersionUrl(versions[i].key)}" alt=""><span>${i === 0 ? 'Original' : `v${i}`}</span>`;
+        btn.addEventListener('click', () => setJobVersion(job, i));
+        DOM.versionStrip.appendChild(btn);
+    }
+}
+
+function updateCompareSlider() {
+    const pct = DOM.compareSlider.value;
+    DOM.compareOverlay.style.clipPath = `inset(0 ${100 - pct}% 0 0)`;
+}
+
+async function getVersionUrl(key) {
+    if (!versionBlobUrls.has(key)) {
+        const record = await dbGetImage(key);
+        versionBlobUrls.set(key, record?.blob ? URL.createObjectURL(record.blob) : '');
+    }
+    return versionBlobUrls.get(key);
+}
+
+// ============================================
+// REFINE (image edits with version history)
+// ============================================
+
+function versionKey(jobId, n) {
+    return `${jobId}@v${n}`;
+}
+
+async function refineJob(jobId, instruction) {
+    const job = store.jobs.find(j => j.id === jobId);
+    if (!job || job.refining) return;
+    if (!store.cookieValid) { toast('Validate your cookie first', 'error'); return; }
+    if (!instruction) { toast('Describe the edit first', 'error'); return; }
+
+    const record = await dbGetImage(job.id);
+    if (!record?.blob) { toast('Image not found in storage', 'error'); return; }
+
+    job.refining = true;
+    updateCard(job.id);
+    renderLightboxPanel();
+
+    try {
+        const res = await fetch('/api/refine', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                imageBase64: await blobToBase64(record.blob),
+                prompt: job.prompt,
+                edit: instruction,
+                aspectRatio: job.aspectRatio || store.aspectRatio,
+                mediaId: job.mediaId
+            })
+        });
+        const data = await res.json();
+
+        if (data.success && data.image) {
+            // First refinement: keep the untouched image as v0
+            if (!job.versions?.length) {
+                await dbSaveImage(versionKey(job.id, 0), record.blob, job.prompt);
+                job.versions = [{ key: versionKey(job.id, 0), edit: null, parent: null }];
+                job.versionIndex = 0;
+            }
+
+            const blob = await base64ToBlob(data.image);
+            const n = job.versions.length;
+            await dbSaveImage(versionKey(job.id, n), blob, job.prompt);
+            job.versions.push({ key: versionKey(job.id, n), edit: instruction, parent: job.versionIndex });
+
+            job.refining = false;
+            await setJobVersion(job, n, blob);
+            if (DOM.refineInput) DOM.refineInput.value = '';
+            toast('Image refined!', 'success');
+        } else {
+            toast('Refine failed: ' + (data.error || 'Unknown error'), 'error');
+            if (ERROR_POLICY[errorCode(res, data)] === 'pause') {
+                updateStatus(false);
+                toast('Cookie expired. Please re-validate.', 'error');
+            }
+        }
+    } catch (err) {
+        toast('Refine failed: ' + err.message, 'error');
+    }
+
+    job.refining = false;
+    updateCard(job.id);
+    renderLightboxPanel();
+    saveQueueState();
+}
+
+// Make a stored version the card's current image (ZIP/animate read job.id)
+async function setJobVersion(job, index, blob) {
+    if (!blob) {
+        const record = await dbGetImage(job.versions[index].key);
+        if (!record?.blob) { toast('Version not found in storage', 'error'); return; }
+        blob = record.blob;
+    }
+
+    await dbSaveImage(job.id, blob, job.prompt);
+    if (blobUrls.has(job.id)) URL.revokeObjectURL(blobUrls.get(job.id));
+    job.blobUrl = URL.createObjectURL(blob);
+    blobUrls.set(job.id, job.blobUrl);
+    job.versionIndex = index;
+
+    updateCard(job.id);
+    saveQueueState();
+    if (lightboxJobId === job.id) renderLightboxPanel();
+}
+
+// ============================================
+// BLOCKED PROMPTS REPORT
+// ============================================
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV of every prompt the safety filter refused at least once, and how it ended
+function downloadBlockedReport() {
+    const blocked = store.jobs.filter(j => j.blockedPrompts?.length > 0);
+    if (blocked.length === 0) {
+        toast('No prompts were blocked', 'info');
+        return;
+    }
+
+    const rows = [['prompt', 'outcome', 'final_prompt', 'blocked_wordings']];
+    blocked.forEach(job => rows.push([
+        job.prompt,
+        job.status === 'completed' ? 'reworded' : 'blocked',
+        job.status === 'completed' ? job.finalPrompt || job.prompt : '',
+        job.blockedPrompts.join(' | ')
+    ]));
+
+    const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bulkmass_blocked_${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    toast(`Blocked report downloaded (${blocked.length} prompts)`, 'success');
 }
 
 // ============================================
@@ -1376,6 +2585,7 @@ async function downloadAllAsZip() {
 
     try {
         const zip = new JSZip();
+        const used = new Set();
 
         let added = 0;
 
@@ -1384,7 +2594,7 @@ async function downloadAllAsZip() {
                 const record = await dbGetImage(job.id);
                 if (record && record.blob) {
                     added++;
-                    zip.file(`${added}.png`, record.blob);
+                    zip.file(zipEntryName(job.filename || String(added), 'png', used), record.blob);
                 }
             } catch { }
         }
@@ -1434,6 +2644,9 @@ async function clearAll() {
     store.failedCount = 0;
     store.totalCount = 0;
     store.consecutiveErrors = 0;
+    store.serverJobId = null;
+    store.lastEventId = 0;
+    stopServerStream();
     store.isAnimating = false;
     store.animatedCount = 0;
     store.animationErrors = 0;
@@ -1468,6 +2681,11 @@ function init() {
 
     // Cookie
     DOM.btnValidate.addEventListener('click', validateCookie);
+    DOM.btnAddAccount.addEventListener('click', addAccount);
+    DOM.accountList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.account-remove');
+        if (btn) removeAccount(btn.dataset.id);
+    });
     DOM.cookieInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); validateCookie(); }
     });
@@ -1490,6 +2708,31 @@ function init() {
         localStorage.setItem('bulkmass_ratio', store.aspectRatio);
     });
 
+    // Server mode
+    if (DOM.serverMode) {
+        DOM.serverMode.checked = store.serverMode;
+        DOM.serverMode.addEventListener('change', () => {
+            store.serverMode = DOM.serverMode.checked;
+            localStorage.setItem('bulkmass_server_mode', store.serverMode ? '1' : '0');
+        });
+    }
+
+    // Safety-filter rewording
+    if (DOM.reword) {
+        DOM.reword.checked = store.reword;
+        DOM.rewordRules.value = store.rewordRules;
+        DOM.rewordRules.style.display = store.reword ? '' : 'none';
+        DOM.reword.addEventListener('change', () => {
+            store.reword = DOM.reword.checked;
+            localStorage.setItem('bulkmass_reword', store.reword ? '1' : '0');
+            DOM.rewordRules.style.display = store.reword ? '' : 'none';
+        });
+        DOM.rewordRules.addEventListener('input', () => {
+            store.rewordRules = DOM.rewordRules.value;
+            localStorage.setItem('bulkmass_reword_rules', store.rewordRules);
+        });
+    }
+
     // Count
     DOM.countInput.value = store.count;
     DOM.countInput.addEventListener('change', () => {
@@ -1526,6 +2769,7 @@ function init() {
 
     // Sidebar actions
     DOM.btnRetryErrors.addEventListener('click', retryErrors);
+    DOM.btnBlockedReport.addEventListener('click', downloadBlockedReport);
     DOM.btnClearAll.addEventListener('click', clearAll);
     DOM.btnDownloadZip.addEventListener('click', downloadAllAsZip);
     if (DOM.headerDownloadZip) DOM.headerDownloadZip.addEventListener('click', downloadAllAsZip);
@@ -1543,6 +2787,11 @@ function init() {
     DOM.lightbox.addEventListener('click', (e) => {
         if (e.target === DOM.lightbox || e.target === DOM.lightboxClose) closeLightbox();
     });
+    if (DOM.compareSlider) DOM.compareSlider.addEventListener('input', updateCompareSlider);
+    if (DOM.btnRefine) DOM.btnRefine.addEventListener('click', () => refineJob(lightboxJobId, DOM.refineInput.value.trim()));
+    if (DOM.refineInput) DOM.refineInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); refineJob(lightboxJobId, DOM.refineInput.value.trim()); }
+    });
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closeLightbox();
@@ -1558,30 +2807,27 @@ function init() {
     if (DOM.btnSaveEdit) DOM.btnSaveEdit.addEventListener('click', () => saveEdit(false));
     if (DOM.btnSaveRegenerate) DOM.btnSaveRegenerate.addEventListener('click', () => saveEdit(true));
 
-    // Restore cookie
-    if (store.cookie) {
-        DOM.cookieInput.value = store.cookie;
+    // Older versions kept the raw cookie in localStorage: trade it for a session once
+    const legacyCookie = localStorage.getItem('bulkmass_cookie');
+    if (legacyCookie) {
+        localStorage.removeItem('bulkmass_cookie');
+        if (!store.sessionToken) {
+            DOM.cookieInput.value = legacyCookie;
+            validateCookie();
+        }
+    }
+
+    // Restore session
+    if (store.sessionToken) {
         (async () => {
             try {
-                const res = await fetch('/api/validate-cookie', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ cookie: store.cookie })
-                });
+                const res = await fetch('/api/session', { headers: authHeaders() });
                 const data = await res.json();
                 if (data.valid) {
                     updateStatus(true, data.email);
-                    try {
-                        const parsed = JSON.parse(store.cookie.trim());
-                        if (Array.isArray(parsed)) {
-                            const session = parsed.find(c =>
-                                c.name?.includes('session') || c.name?.includes('Secure')
-                            );
-                            if (session?.expirationDate) {
-                                startCookieTimer(session.expirationDate * 1000);
-                            }
-                        }
-                    } catch { }
+                    if (data.cookieExpiresAt) startCookieTimer(data.cookieExpiresAt);
+                } else if (res.status === 401) {
+                    setSessionToken('');
                 }
             } catch { }
         })();
@@ -1592,9 +2838,29 @@ function init() {
 
     // Bind reference image events (drag-and-drop + click)
     bindReferenceEvents();
+    loadServerConfig();
+
+    // Reverse prompt (caption images into prompts)
+    bindCaptionEvents();
 
     // Motion Box
     DOM.motionPromptsInput.addEventListener('input', updateMotionScriptCount);
+
+    // Video model / looping
+    if (DOM.videoModel) {
+        DOM.videoModel.value = store.videoModel;
+        DOM.videoModel.addEventListener('change', () => {
+            store.videoModel = DOM.videoModel.value;
+            localStorage.setItem('bulkmass_video_model', store.videoModel);
+        });
+    }
+    if (DOM.videoLoop) {
+        DOM.videoLoop.checked = store.videoLoop;
+        DOM.videoLoop.addEventListener('change', () => {
+            store.videoLoop = DOM.videoLoop.checked;
+            localStorage.setItem('bulkmass_video_loop', store.videoLoop ? '1' : '0');
+        });
+    }
     DOM.btnAnimateAll.addEventListener('click', animateAll);
     DOM.btnDownloadVideos.addEventListener('click', downloadAllVideos);
     updatePromptCount();
@@ -1602,12 +2868,60 @@ function init() {
     updateSidebarSteps();
 }
 
+// seedSource set = "reuse seed" mode: saving creates a new card pinned to that seed
+function openEditModal(job, seedSource) {
+    editingJobId = job.id;
+    reuseSeedFrom = seedSource;
+    // Start from the wording that actually went through when the prompt was reworded
+    DOM.editPromptInput.value = job.finalPrompt || job.prompt;
+    if (DOM.editModalTitle) {
+        DOM.editModalTitle.textContent = seedSource ? `Reuse Seed #${seedSource.seed}` : 'Edit Prompt';
+    }
+    if (DOM.btnSaveEdit) DOM.btnSaveEdit.style.display = seedSource ? 'none' : '';
+    DOM.editModal.style.display = 'flex';
+    DOM.editPromptInput.focus();
+}
+
+// New card right after the source with the same seed and an edited prompt
+function createSeedVariant(source, prompt) {
+    const variant = {
+        id: generateId(),
+        prompt,
+        status: 'pending',
+        blobUrl: null,
+        error: null,
+        seed: null,
+        requestedSeed: source.seed,
+        aspectRatio: source.aspectRatio,
+        videoBlobUrl: null,
+        videoStatus: null,
+        videoError: null
+    };
+    store.jobs.splice(store.jobs.indexOf(source) + 1, 0, variant);
+    store.totalCount++;
+    renderGrid();
+    updateSidebarProgress();
+    return variant;
+}
+
 function saveEdit(andRegenerate = false) {
     if (!editingJobId) return;
+
+    if (reuseSeedFrom) {
+        const source = reuseSeedFrom;
+        const prompt = DOM.editPromptInput.value.trim();
+        DOM.editModal.style.display = 'none';
+        editingJobId = null;
+        reuseSeedFrom = null;
+        if (prompt) regenerateSingleJob(createSeedVariant(source, prompt).id);
+        return;
+    }
+
     const job = store.jobs.find(j => j.id === editingJobId);
     const jobId = editingJobId;
     if (job) {
         job.prompt = DOM.editPromptInput.value.trim();
+        job.finalPrompt = null;
         updateCard(job.id);
         saveQueueState();
     }
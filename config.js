@@ -0,0 +1,262 @@
+/**
+ * Config - Every tunable in one validated place
+ * Values come from the schema's defaults, then config.json (or the file named
+ * by CONFIG_FILE), then environment variables. Each key's variable is its path
+ * in SCREAMING_SNAKE_CASE (worker.baseDelay → WORKER_BASE_DELAY) unless the
+ * schema names one. Anything invalid stops the server at startup with the
+ * full list of problems, instead of surfacing later as odd behaviour.
+ *
+ * Types:
+ *   integer             whole number within min/max
+ *   duration            seconds, or a string with a unit: 500ms, 30s, 5m, 12h, 7d → milliseconds
+ *   durations           list of durations (comma-separated in env) → milliseconds
+ *   bytes               bytes, or a string with a unit: 512kb, 5mb → bytes
+ *   rate                "<requests>/<seconds>" → { max, windowMs }
+ *   enum                one of values
+ *   string              free text (secrets: environment only, never exposed)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config.json');
+
+const SCHEMA = {
+    // Server
+    'server.port': { type: 'integer', default: 5000, min: 1, max: 65535, env: 'PORT' },
+    'server.jsonLimit': { type: 'bytes', default: '50mb', min: 1024, doc: 'Largest JSON body (base64 images included)' },
+    'server.shutdownTimeout': { type: 'duration', default: '25s', min: 1000, env: 'SHUTDOWN_TIMEOUT', doc: 'Keep below PM2 kill_timeout' },
+    'logging.level': { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL' },
+
+    // Whisk calls
+    'timeouts.generate': { type: 'duration', default: '60s', min: 1000, doc: '/api/generate, candidates and caption' },
+    'timeouts.refine': { type: 'duration', default: '60s', min: 1000 },
+    'timeouts.animate': { type: 'duration', default: '200s', min: 1000, doc: 'Media.animate polls for up to 3 min' },
+    'uploads.maxFileSize': { type: 'bytes', default: '5mb', min: 1024, doc: 'Prompt files' },
+    'references.maxPerCategory': { type: 'integer', default: 3, min: 1, max: 10 },
+
+    // Rate limits per account (per IP for validate)
+    'rateLimits.generate': { type: 'rate', default: '20/60', env: 'RATE_LIMIT_GENERATE' },
+    'rateLimits.candidates': { type: 'rate', default: '10/60', env: 'RATE_LIMIT_CANDIDATES', doc: 'each call returns up to 8 images' },
+    'rateLimits.refine': { type: 'rate', default: '20/60', env: 'RATE_LIMIT_REFINE' },
+    'rateLimits.caption': { type: 'rate', default: '30/60', env: 'RATE_LIMIT_CAPTION' },
+    'rateLimits.animate': { type: 'rate', default: '10/60', env: 'RATE_LIMIT_ANIMATE' },
+    'rateLimits.references': { type: 'rate', default: '10/60', env: 'RATE_LIMIT_REFERENCES' },
+    'rateLimits.jobs': { type: 'rate', default: '10/60', env: 'RATE_LIMIT_JOBS' },
+    'rateLimits.accounts': { type: 'rate', default: '10/60', env: 'RATE_LIMIT_ACCOUNTS' },
+    'rateLimits.validate': { type: 'rate', default: '10/60', env: 'RATE_LIMIT_VALIDATE' },
+
+    // Background worker and jobs
+    'worker.maxConcurrentJobs': { type: 'integer', default: 5, min: 1, max: 100, env: 'MAX_CONCURRENT_JOBS' },
+    'worker.baseDelay': { type: 'duration', default: '4s', min: 0, doc: 'Pause between prompts' },
+    'worker.maxBackoff': { type: 'duration', default: '60s', min: 0 },
+    'worker.maxConsecutiveErrors': { type: 'integer', default: 5, min: 1, max: 100, doc: 'Failed in a row before a job stops' },
+    'jobs.retention': { type: 'duration', default: '7d', min: 60000, doc: 'Finished jobs are deleted after this' },
+
+    // Caches and sessions
+    'whiskpool.maxInstances': { type: 'integer', default: 50, min: 1, max: 1000 },
+    'whiskpool.projectRefreshEvery': { type: 'integer', default: 10, min: 1, max: 1000, doc: 'Generations per Whisk project' },
+    'whiskpool.idleTtl': { type: 'duration', default: '30m', min: 60000 },
+    'refsessions.idleTtl': { type: 'duration', default: '1h', min: 60000 },
+    'vault.sessionTtl': { type: 'duration', default: '12h', min: 60000 },
+    'accounts.rateLimitCooldown': { type: 'duration', default: '5m', min: 0, doc: 'Rest for an account Google rate-limited' },
+    'operations.fetchedTtl': { type: 'duration', default: '1h', min: 60000 },
+    'operations.unfetchedTtl': { type: 'duration', default: '7d', min: 60000 },
+
+    // Features
+    'reword.maxRewords': { type: 'integer', default: 3, min: 0, max: 10 },
+    'apikeys.usageLimit': { type: 'integer', default: 1000, min: 10, max: 100000, doc: 'Usage entries kept per key' },
+    'webhooks.maxPerJob': { type: 'integer', default: 5, min: 0, max: 20 },
+    'webhooks.timeout': { type: 'duration', default: '10s', min: 1000 },
+    'webhooks.retryDelays': { type: 'durations', default: ['10s', '1m', '5m', '30m'], min: 1000, max: 10 },
+
+    // Browser queue (sent to the UI through /api/config)
+    'client.baseDelay': { type: 'duration', default: '5s', min: 0 },
+    'client.maxBackoff': { type: 'duration', default: '32s', min: 0 },
+    'client.maxAttempts': { type: 'integer', default: 3, min: 1, max: 10, doc: 'Tries per prompt for retryable errors' },
+    'client.animationPollInterval': { type: 'duration', default: '5s', min: 1000 },
+
+    // Secrets: environment only, never in /api/config
+    'secrets.vaultKey': { type: 'string', secret: true, env: 'VAULT_KEY' },
+    'secrets.adminToken': { type: 'string', secret: true, env: 'ADMIN_TOKEN' },
+    'secrets.metricsToken': { type: 'string', secret: true, env: 'METRICS_TOKEN' }
+};
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const SIZES = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+function envName(key) {
+    return SCHEMA[key].env || key.replace(/\./g, '_').replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+// Each parser returns the value or throws a message naming what was expected
+function withUnit(value, units, what) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return null;
+    const match = /^(\d+(?:\.\d+)?)\s*([a-z]+)?$/i.exec(String(value).trim());
+    if (!match || (match[2] && !units[match[2].toLowerCase()])) {
+        throw new Error(`expected ${what}, got '${value}'`);
+    }
+    return match;
+}
+
+function inRange(value, spec, unit = '') {
+    if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}${unit}, got ${value}${unit}`);
+    if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}${unit}, got ${value}${unit}`);
+    return value;
+}
+
+const PARSERS = {
+    integer(value, spec) {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isInteger(number)) throw new Error(`expected a whole number, got '${value}'`);
+        return inRange(number, spec);
+    },
+
+    duration(value, spec) {
+        const match = withUnit(value, UNITS, 'seconds or a duration like 500ms, 30s, 5m, 12h, 7d');
+        const ms = match ? Math.round(Number(match[1]) * UNITS[(match[2] || 's').toLowerCase()]) : Math.round(value * 1000);
+        return inRange(ms, spec, 'ms');
+    },
+
+    durations(value, spec) {
+        const list = Array.isArray(value) ? value : String(value).split(',').map(s => s.trim()).filter(Boolean);
+        if (list.length === 0 || list.length > (spec.max || Infinity)) {
+            throw new Error(`expected 1 to ${spec.max} durations, got ${list.length}`);
+        }
+        return list.map(item => PARSERS.duration(item, { min: spec.min }));
+    },
+
+    bytes(value, spec) {
+        const match = withUnit(value, SIZES, 'bytes or a size like 512kb, 5mb');
+        const bytes = match ? Math.round(Number(match[1]) * SIZES[(match[2] || 'b').toLowerCase()]) : value;
+        return inRange(bytes, spec, ' bytes');
+    },
+
+    rate(value) {
+        const match = /^(\d+)\s*\/\s*(\d+)$/.exec(String(value).trim());
+        if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+            throw new Error(`expected <requests>/<seconds>, got '${value}'`);
+        }
+        return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+    },
+
+    enum(value, spec) {
+        const text = String(value).trim().toLowerCase();
+        if (!spec.values.includes(text)) throw new Error(`expected one of ${spec.values.join(', ')}, got '${value}'`);
+        return text;
+    },
+
+    string(value) {
+        return String(value);
+    }
+};
+
+// Nested file object → { 'a.b': value }
+function flatten(object, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(object)) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !SCHEMA[dotted]) flatten(value, dotted, out);
+        else out[dotted] = value;
+    }
+    return out;
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let node = target;
+    for (const part of parts) node = node[part] = node[part] || {};
+    node[last] = value;
+}
+
+function deepFreeze(object) {
+    Object.values(object).forEach(value => {
+        if (value && typeof value === 'object') deepFreeze(value);
+    });
+    return Object.freeze(object);
+}
+
+/**
+ * Build the config from defaults, the file and env. Throws one Error listing
+ * every problem (error.problems) when anything is invalid.
+ */
+function load({ env = process.env, file = env.CONFIG_FILE || DEFAULT_FILE } = {}) {
+    const problems = [];
+    let fromFile = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            fromFile = flatten(JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (e) {
+            problems.push(`${path.basename(file)}: ${e.message}`);
+        }
+    } else if (env.CONFIG_FILE) {
+        problems.push(`CONFIG_FILE '${file}' does not exist`);
+    }
+
+    for (const key of Object.keys(fromFile)) {
+        if (!SCHEMA[key]) problems.push(`${path.basename(file)}: unknown setting '${key}'`);
+        else if (SCHEMA[key].secret) problems.push(`${path.basename(file)}: '${key}' is a secret, set ${envName(key)} in the environment instead`);
+    }
+
+    const values = {};
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const name = envName(key);
+        const source = env[name] !== undefined && env[name] !== '' ? name
+            : fromFile[key] !== undefined && !spec.secret ? `${path.basename(file)} ${key}`
+                : null;
+        const raw = source === name ? env[name] : source ? fromFile[key] : spec.default;
+
+        if (raw === undefined) {
+            setPath(values, key, null);
+            continue;
+        }
+        try {
+            setPath(values, key, PARSERS[spec.type](raw, spec));
+        } catch (e) {
+            problems.push(`${source || `default ${key}`}: ${e.message}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration: ${problems.join('; ')}`);
+        error.problems = problems;
+        throw error;
+    }
+    return deepFreeze(values);
+}
+
+/**
+ * Effective values without the secrets, for /api/config. Durations are in
+ * milliseconds and sizes in bytes.
+ */
+function toPublic(values = config) {
+    const out = {};
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (spec.secret) continue;
+        setPath(out, key, key.split('.').reduce((node, part) => node?.[part], values));
+    }
+    return out;
+}
+
+// Loaded once; a bad value ends the process before anything else starts.
+// The logger reads its level from here, so this writes its own JSON line.
+let config;
+try {
+    config = load();
+} catch (error) {
+    process.stderr.write(JSON.stringify({
+        time: new Date().toISOString(),
+        level: 'error',
+        component: 'config',
+        msg: 'Invalid configuration',
+        problems: error.problems || [error.message]
+    }) + '\n');
+    process.exit(1);
+}
+
+module.exports = { ...config, SCHEMA, load, toPublic, envName };
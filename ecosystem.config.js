@@ -9,15 +9,15 @@ module.exports = {
         max_memory_restart: '512M',
         env: {
             NODE_ENV: 'production',
-            PORT: 5000
+            PORT: 5000,
+            LOG_LEVEL: 'info'
         },
-        // Logging
-        log_date_format: 'YYYY-MM-DD HH:mm:ss',
+        // Logging (one JSON object per line with its own timestamp, so PM2 adds none)
         error_file: './logs/error.log',
         out_file: './logs/app.log',
         merge_logs: true,
-        // Graceful shutdown
-        kill_timeout: 5000,
+        // Graceful shutdown: PM2 waits this long after SIGTERM, so keep it above SHUTDOWN_TIMEOUT (25s by default)
+        kill_timeout: 30000,
         listen_timeout: 10000
     }]
 };
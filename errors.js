@@ -0,0 +1,93 @@
+/**
+ * Errors - Stable codes for everything that can go wrong talking to Whisk
+ * The Whisk library throws plain Errors ("API Error (429): {...}", "prompt is
+ * required", ...). classify() maps them onto a small taxonomy so routes pick the
+ * HTTP status, and clients decide whether to retry, pause or skip, without
+ * matching on message text.
+ */
+
+const metrics = require('./metrics');
+
+const ErrorCode = {
+    AUTH_EXPIRED: 'AUTH_EXPIRED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    TIMEOUT: 'TIMEOUT',
+    BAD_INPUT: 'BAD_INPUT'
+};
+
+// code → HTTP status and whether sending the same request again can succeed
+const ERROR_TYPES = {
+    AUTH_EXPIRED: { status: 401, retryable: false },
+    RATE_LIMITED: { status: 429, retryable: true },
+    SAFETY_BLOCKED: { status: 422, retryable: false },
+    UPSTREAM_UNAVAILABLE: { status: 502, retryable: true },
+    TIMEOUT: { status: 504, retryable: true },
+    BAD_INPUT: { status: 400, retryable: false }
+};
+
+const SAFETY_PATTERN = /UNSAFE|SAFETY|PROMINENT_PEOPLE|FILTER_FAILED|CONTENT_POLICY|blocked by/i;
+const TIMEOUT_PATTERN = /timed out|ETIMEDOUT|DEADLINE_EXCEEDED|after \d+ minutes|API Error \(504\)/i;
+const UNAVAILABLE_PATTERN = /API Error \(5\d\d\)|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket|fetch failed|UNAVAILABLE|not loaded|not available/i;
+const BAD_INPUT_PATTERN = /API Error \(4\d\d\)|INVALID_ARGUMENT|is required|invalid|must be|only landscape|can't|not a valid/i;
+
+// Error carrying its code; retryAfter (seconds) is sent as Retry-After when set
+function createError(code, message, { retryAfter = null } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    if (retryAfter !== null) error.retryAfter = retryAfter;
+    return error;
+}
+
+function classify(error) {
+    if (ERROR_TYPES[error?.code]) return error.code;
+
+    const message = error?.message || String(error || '');
+
+    // Auth and quota first: their API errors would otherwise match the generic 4xx rule
+    if (message.includes('401') || message.includes('Unauthorized') || message.includes('new cookie is required')) {
+        return ErrorCode.AUTH_EXPIRED;
+    }
+    if (message.includes('429') || message.includes('RESOURCE_EXHAUSTED')) return ErrorCode.RATE_LIMITED;
+    if (SAFETY_PATTERN.test(message)) return ErrorCode.SAFETY_BLOCKED;
+    if (TIMEOUT_PATTERN.test(message)) return ErrorCode.TIMEOUT;
+    if (UNAVAILABLE_PATTERN.test(message)) return ErrorCode.UPSTREAM_UNAVAILABLE;
+    if (BAD_INPUT_PATTERN.test(message)) return ErrorCode.BAD_INPUT;
+
+    // Anything unrecognised is treated as a transient upstream failure
+    return ErrorCode.UPSTREAM_UNAVAILABLE;
+}
+
+function isRetryable(error) {
+    return ERROR_TYPES[classify(error)].retryable;
+}
+
+// { status, body } for a failed route; body is the usual { success: false, error } plus code/retryable
+// (and blockedPrompts when reword.js gave up on a prompt)
+function toResponse(error) {
+    const code = classify(error);
+    const { status, retryable } = ERROR_TYPES[code];
+    const body = { success: false, error: error?.message || 'Unknown error', code, retryable };
+    if (error?.retryAfter) body.retryAfter = error.retryAfter;
+    if (error?.blockedPrompts) body.blockedPrompts = error.blockedPrompts;
+    return { status, body };
+}
+
+// Send a classified error, with Retry-After when the error knows how long to wait
+function sendError(res, error) {
+    const { status, body } = toResponse(error);
+    metrics.countError(body.code, 'route');
+    if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+    return res.status(status).json(body);
+}
+
+module.exports = {
+    ErrorCode,
+    ERROR_TYPES,
+    createError,
+    classify,
+    isRetryable,
+    toResponse,
+    sendError
+};
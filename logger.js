@@ -0,0 +1,168 @@
+/**
+ * Logger - Leveled JSON lines with the current request's context
+ * Every entry is one JSON object: { time, level, component, msg, requestId?, ...fields }.
+ * The request ID (and job/prompt ids in the worker) is carried by
+ * AsyncLocalStorage, so anything logged while serving a request, including
+ * the Whisk library's calls, carries it without being passed around.
+ * Cookies, bearer tokens, API keys and base64 payloads are redacted before
+ * anything is written. config.logging.level (LOG_LEVEL) picks the minimum level.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[config.logging.level];
+
+const context = new AsyncLocalStorage();
+
+// ============================================
+// REDACTION
+// ============================================
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose whole value is a secret or a payload
+const SECRET_KEY = /cookie|authorization|token|secret|password|apikey|api_key|^key$/i;
+const PAYLOAD_KEY = /base64|rawBytes|encodedMedia|encodedImage|imageBytes|^data$/i;
+
+const STRING_RULES = [
+    // data URLs and long base64 runs (images, video bytes)
+    [/data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g, match => `[base64 ${match.length} chars]`],
+    [/[A-Za-z0-9+/_-]{200,}={0,2}/g, match => `[base64 ${match.length} chars]`],
+    [/\bBearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+    [/\b(bmk|whsec)_[\w-]+/g, (match, prefix) => `${prefix}_${REDACTED}`],
+    [/\bya29\.[\w.-]+/g, REDACTED],
+    // name=value pairs of a Cookie header or cookie string
+    [/((?:__Secure-|__Host-)?[\w.-]*(?:session|token|auth|SID|csrf)[\w.-]*)=[^;\s"]+/gi, `$1=${REDACTED}`]
+];
+
+function redactString(text) {
+    return STRING_RULES.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), text);
+}
+
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 6) return '[Object]';
+    if (value instanceof Error) return serializeError(value);
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (SECRET_KEY.test(key) && item) out[key] = REDACTED;
+        else if (PAYLOAD_KEY.test(key) && typeof item === 'string') out[key] = `[${item.length} chars]`;
+        else out[key] = redact(item, depth + 1);
+    }
+    return out;
+}
+
+function serializeError(error) {
+    const out = { message: redactString(error.message || String(error)) };
+    if (error.code) out.code = error.code;
+    if (error.name && error.name !== 'Error') out.name = error.name;
+    if (minLevel <= LEVELS.debug && error.stack) out.stack = redactString(error.stack);
+    return out;
+}
+
+// ============================================
+// LOGGING
+// ============================================
+
+function write(level, component, msg, fields) {
+    if (LEVELS[level] < minLevel) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg: redactString(String(msg)),
+        ...context.getStore(),
+        ...redact(fields || {})
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    // PM2 keeps stdout and stderr in separate files; problems go to the error log
+    if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+    else process.stdout.write(line);
+}
+
+/**
+ * Logger for one module: log.info('Job done', { jobId, failedCount }).
+ * Pass an Error as fields.error to log its message and code (stack at debug).
+ */
+function child(component) {
+    const log = {};
+    for (const level of Object.keys(LEVELS)) {
+        log[level] = (msg, fields) => write(level, component, msg, fields);
+    }
+    return log;
+}
+
+/**
+ * Run fn with extra context fields ({ jobId, promptId, requestId, ... })
+ * merged into every entry logged inside it, across awaits.
+ */
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// ============================================
+// EXPRESS
+// ============================================
+
+const httpLog = child('http');
+
+// Accept a caller's X-Request-Id when it looks like an id, else make one
+function requestIdFrom(req) {
+    const given = req.get('x-request-id');
+    return given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * First middleware: assigns req.id (echoed as X-Request-Id), logs the request
+ * when its response closes, and runs the rest of the chain in its context.
+ */
+function middleware(req, res, next) {
+    req.id = requestIdFrom(req);
+    req.logContext = { requestId: req.id };
+    res.setHeader('X-Request-Id', req.id);
+
+    const started = Date.now();
+    res.on('close', () => {
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - started
+        };
+        // Static files, health checks and scrapes would drown the interesting lines
+        const quiet = !req.path.startsWith('/api/') || req.path === '/api/health';
+        if (res.statusCode >= 500) httpLog.error('Request failed', fields);
+        else if (quiet) httpLog.debug('Request', fields);
+        else httpLog.info('Request', fields);
+    });
+
+    context.run(req.logContext, next);
+}
+
+/**
+ * Re-enter the request's context. Body parsers call next() from stream events,
+ * which run outside it; mount this after each of them.
+ */
+function restoreContext(req, res, next) {
+    if (!req.logContext) return next();
+    context.run(req.logContext, next);
+}
+
+module.exports = {
+    LEVELS,
+    child,
+    withContext,
+    redact,
+    middleware,
+    restoreContext
+};
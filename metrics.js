@@ -0,0 +1,228 @@
+/**
+ * Metrics - Counters, gauges and histograms served at /metrics
+ * Rendered in the Prometheus text exposition format (version 0.0.4). Values
+ * live in memory and start from zero on every restart, as Prometheus expects.
+ * Gauges that mirror other modules' state are read at scrape time through a
+ * collect() callback instead of being kept in sync.
+ */
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const UPSTREAM_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+const ANIMATION_BUCKETS = [10, 30, 60, 90, 120, 150, 180, 240, 300];
+
+// name → metric, in registration order
+const registry = new Map();
+
+// ============================================
+// METRIC TYPES
+// ============================================
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function register(metric) {
+    if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+// Series are keyed by their label values, in labelNames order
+function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        },
+        lines() {
+            return [...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+        }
+    });
+}
+
+/**
+ * Gauge set from collect() on every scrape; collect returns a number, or
+ * [{ labels, value }] for a gauge with labels.
+ */
+function gauge(name, help, labelNames, collect) {
+    return register({
+        name,
+        help,
+        type: 'gauge',
+        lines() {
+            const value = collect();
+            const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+            return samples.map(sample =>
+                `${name}${formatLabels(labelNames, labelNames.map(l => sample.labels[l] ?? ''))} ${formatValue(sample.value)}`);
+        }
+    });
+}
+
+function histogram(name, help, labelNames, buckets) {
+    const series = new Map();   // key → { counts: per-bucket, sum, count }
+
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        lines() {
+            const lines = [];
+            for (const [key, entry] of series) {
+                const values = JSON.parse(key);
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${formatValue(entry.sum)}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// ============================================
+// APPLICATION METRICS
+// ============================================
+
+const httpRequests = counter(
+    'bulkmass_http_requests_total',
+    'HTTP requests by route, method and status',
+    ['method', 'route', 'status']
+);
+
+const httpDuration = histogram(
+    'bulkmass_http_request_duration_seconds',
+    'HTTP request latency by route (SSE streams count until they close)',
+    ['method', 'route'],
+    HTTP_BUCKETS
+);
+
+const upstreamDuration = histogram(
+    'bulkmass_whisk_request_duration_seconds',
+    'Latency of calls to the Whisk API by endpoint',
+    ['endpoint', 'outcome'],
+    UPSTREAM_BUCKETS
+);
+
+const errors = counter(
+    'bulkmass_errors_total',
+    'Failures by error class (errors.js code) and where they surfaced',
+    ['code', 'source']
+);
+
+const rateLimited = counter(
+    'bulkmass_rate_limit_rejections_total',
+    'Requests rejected by the per-account rate limiter',
+    ['limiter']
+);
+
+const animationDuration = histogram(
+    'bulkmass_animation_duration_seconds',
+    'Time from starting an animation to its video being ready (or failing), polling included',
+    ['outcome'],
+    ANIMATION_BUCKETS
+);
+
+gauge('bulkmass_process_resident_memory_bytes', 'Resident set size', [], () => process.memoryUsage().rss);
+gauge('bulkmass_process_heap_used_bytes', 'V8 heap in use', [], () => process.memoryUsage().heapUsed);
+gauge('bulkmass_process_uptime_seconds', 'Seconds since the server started', [], () => Math.round(process.uptime()));
+
+// "route" is the Express pattern (/api/jobs/:id), so ids don't explode the series count
+function observeRequest({ method, route, status, durationMs }) {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationMs / 1000);
+}
+
+// event: the Whisk library's RequestEvent ({ endpoint, status, durationMs, error })
+function observeUpstream({ endpoint, status, durationMs, error }) {
+    const outcome = error ? (status ? `http_${status}` : 'network_error') : 'ok';
+    upstreamDuration.observe({ endpoint, outcome }, durationMs / 1000);
+}
+
+function countError(code, source) {
+    errors.inc({ code, source });
+}
+
+function countRateLimited(limiter) {
+    rateLimited.inc({ limiter });
+}
+
+function observeAnimation(outcome, durationMs) {
+    animationDuration.observe({ outcome }, durationMs / 1000);
+}
+
+/**
+ * Express middleware recording every request once its response is closed
+ * (finished or aborted). Requests nothing answered are grouped as "unmatched".
+ */
+function middleware(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+        observeRequest({
+            method: req.method,
+            // A middleware that answered itself (rate limiter, key check) leaves its mount path in baseUrl
+            route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched',
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - started) / 1e6
+        });
+    });
+    next();
+}
+
+function render() {
+    const lines = [];
+    for (const metric of registry.values()) {
+        const samples = metric.lines();
+        if (samples.length === 0) continue;
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...samples);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    gauge,
+    middleware,
+    observeUpstream,
+    countError,
+    countRateLimited,
+    observeAnimation,
+    render
+};
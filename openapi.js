@@ -0,0 +1,145 @@
+/**
+ * OpenAPI - Builds the /api/v1 OpenAPI 3.0 document from the route table
+ * Routes are registered together with their definition (server.js, v1Route),
+ * so the document can't drift from what the server actually serves.
+ *
+ * Route definition:
+ *   { method, path, summary, tag, auth: 'key' | 'admin' | 'none',
+ *     body?: JSON schema, upload?: true, query?: { name: JSON schema },
+ *     status?: success status (200), response?: JSON schema, stream?: true }
+ */
+
+const { ErrorCode, ERROR_TYPES } = require('./errors');
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.values(ErrorCode) },
+        retryable: { type: 'boolean' },
+        retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (also sent as Retry-After)' },
+        blockedPrompts: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// Express "/jobs/:id" → OpenAPI "/jobs/{id}"
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameters(path) {
+    return [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    }));
+}
+
+function queryParameters(query = {}) {
+    return Object.entries(query).map(([name, schema]) => ({ name, in: 'query', required: false, schema }));
+}
+
+function requestBody(route) {
+    if (route.upload) {
+        return {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: ['file'],
+                        properties: { file: { type: 'string', format: 'binary' } }
+                    }
+                }
+            }
+        };
+    }
+    if (route.body) return { required: true, content: { 'application/json': { schema: route.body } } };
+    return undefined;
+}
+
+// Error responses every authenticated route can produce, from the error taxonomy
+function errorResponses(route) {
+    const statuses = new Set([ERROR_TYPES.BAD_INPUT.status, 404]);
+    if (route.auth !== 'none') statuses.add(ERROR_TYPES.AUTH_EXPIRED.status);
+    if (route.upstream) {
+        [ErrorCode.RATE_LIMITED, ErrorCode.SAFETY_BLOCKED, ErrorCode.UPSTREAM_UNAVAILABLE, ErrorCode.TIMEOUT]
+            .forEach(code => statuses.add(ERROR_TYPES[code].status));
+    }
+    if (route.limited) statuses.add(ERROR_TYPES.RATE_LIMITED.status);
+
+    const responses = {};
+    [...statuses].sort().forEach(status => {
+        responses[status] = {
+            description: `Error (${Object.keys(ERROR_TYPES).filter(c => ERROR_TYPES[c].status === status).join(', ') || 'not found'})`,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+    });
+    return responses;
+}
+
+function successResponse(route) {
+    if (route.stream) {
+        return { description: 'Server-sent events', content: { 'text/event-stream': { schema: { type: 'string' } } } };
+    }
+    if (route.file) {
+        return { description: 'File contents', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } };
+    }
+    return {
+        description: route.summary,
+        content: { 'application/json': { schema: route.response || { type: 'object', properties: { success: { type: 'boolean' } } } } }
+    };
+}
+
+function buildOperation(route) {
+    const operation = {
+        summary: route.summary,
+        tags: [route.tag],
+        operationId: route.operationId,
+        parameters: [...pathParameters(route.path), ...queryParameters(route.query)],
+        responses: {
+            [route.status || 200]: successResponse(route),
+            ...errorResponses(route)
+        }
+    };
+
+    const body = requestBody(route);
+    if (body) operation.requestBody = body;
+    if (route.auth === 'none') operation.security = [];
+    if (route.auth === 'admin') operation.security = [{ adminToken: [] }];
+    if (operation.parameters.length === 0) delete operation.parameters;
+    return operation;
+}
+
+/**
+ * OpenAPI document for routes registered under basePath.
+ * info: { title, version, description }
+ */
+function buildDocument(routes, { basePath, info }) {
+    const paths = {};
+    for (const route of routes) {
+        const key = toOpenApiPath(route.path);
+        paths[key] = paths[key] || {};
+        paths[key][route.method] = buildOperation(route);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers: [{ url: basePath }],
+        security: [{ apiKey: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'http', scheme: 'bearer', description: 'API key (bmk_...) created by an admin' },
+                adminToken: { type: 'http', scheme: 'bearer', description: 'The server\'s ADMIN_TOKEN' }
+            },
+            schemas: { Error: ERROR_SCHEMA }
+        }
+    };
+}
+
+module.exports = { buildDocument, toOpenApiPath };
@@ -0,0 +1,221 @@
+/**
+ * Operations - Long-running Whisk calls (video animation) tracked server-side
+ * The HTTP request returns an operation id immediately; clients poll or subscribe
+ * and the finished file stays in output/ until fetched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ErrorCode, classify } = require('./errors');
+const metrics = require('./metrics');
+const config = require('./config');
+const log = require('./logger').child('operations');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const OPS_FILE = path.join(DATA_DIR, 'operations.json');
+const OUTPUT_DIR = path.join(__dirname, 'output');
+
+const FETCHED_TTL = config.operations.fetchedTtl;       // keep fetched results a while (page reloads)
+const UNFETCHED_TTL = config.operations.unfetchedTtl;   // and unfetched ones much longer
+
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+const Status = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Emits 'update' with the operation after every status change
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Tasks still running in this process: operation id → promise (drain waits on them)
+const running = new Map();
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+let opsCache = null;
+
+function loadFromDisk() {
+    try {
+        if (fs.existsSync(OPS_FILE)) {
+            const ops = JSON.parse(fs.readFileSync(OPS_FILE, 'utf8'));
+
+            // The polling promise died with the previous process
+            ops.forEach(op => {
+                if (op.status === Status.RUNNING) {
+                    op.status = Status.FAILED;
+                    op.error = 'Interrupted by server restart';
+                    op.errorCode = ErrorCode.UPSTREAM_UNAVAILABLE;
+                    op.completedAt = new Date().toISOString();
+                }
+            });
+            return ops;
+        }
+    } catch (e) {
+        log.error('Could not read operations file', { error: e });
+    }
+    return [];
+}
+
+function getOps() {
+    if (opsCache === null) opsCache = loadFromDisk();
+    return opsCache;
+}
+
+function save() {
+    try {
+        fs.writeFileSync(OPS_FILE, JSON.stringify(getOps(), null, 2));
+    } catch (e) {
+        log.error('Could not save operations', { error: e });
+    }
+}
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+function createOperation({ cookieHash, kind, meta }) {
+    const op = {
+        id: `op_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        cookieHash,
+        kind,
+        meta: meta || {},
+        status: Status.RUNNING,
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        fetchedAt: null,
+        result: null,
+        error: null,
+        errorCode: null
+    };
+
+    getOps().push(op);
+    save();
+    events.emit('update', op);
+    return op;
+}
+
+function getOperation(id) {
+    return getOps().find(op => op.id === id) || null;
+}
+
+function getOperationsByOwner(cookieHash) {
+    return getOps().filter(op => op.cookieHash === cookieHash);
+}
+
+function finish(id, updates) {
+    const op = getOperation(id);
+    if (!op) return null;
+    if (op.status !== Status.RUNNING) return op;   // e.g. interrupted by shutdown before the task settled
+
+    Object.assign(op, updates, { completedAt: new Date().toISOString() });
+    save();
+    events.emit('update', op);
+    return op;
+}
+
+function completeOperation(id, result) {
+    return finish(id, { status: Status.COMPLETED, result });
+}
+
+function failOperation(id, error, errorCode) {
+    return finish(id, { status: Status.FAILED, error, errorCode });
+}
+
+// Run an async task as an operation; resolves the task's result into op.result
+function run(op, task) {
+    const promise = Promise.resolve()
+        .then(task)
+        .then(result => completeOperation(op.id, result))
+        .catch(error => {
+            const code = classify(error);
+            log.error('Operation failed', { operationId: op.id, kind: op.kind, error });
+            metrics.countError(code, 'operation');
+            failOperation(op.id, error.message, code);
+        })
+        .finally(() => running.delete(op.id));
+    running.set(op.id, promise);
+    return op;
+}
+
+/**
+ * Wait up to timeoutMs for the running tasks (shutdown). Operations still
+ * running then are failed as interrupted, since their polling dies with the
+ * process. Resolves the number interrupted.
+ */
+async function drain(timeoutMs) {
+    if (running.size === 0) return 0;
+
+    let timer;
+    await Promise.race([
+        Promise.allSettled(running.values()),
+        new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+
+    const interrupted = [...running.keys()];
+    interrupted.forEach(id => {
+        failOperation(id, 'Interrupted by server shutdown', ErrorCode.UPSTREAM_UNAVAILABLE);
+        log.warn('Operation interrupted by shutdown', { operationId: id });
+    });
+    return interrupted.length;
+}
+
+// Operation whose result file is output/<filename>
+function findByOutput(filename) {
+    return getOps().find(op => op.result?.file === filename) || null;
+}
+
+function markFetched(id) {
+    const op = getOperation(id);
+    if (!op || op.fetchedAt) return;
+    op.fetchedAt = new Date().toISOString();
+    save();
+}
+
+function cleanupOldOperations() {
+    const now = Date.now();
+    const before = getOps().length;
+
+    opsCache = getOps().filter(op => {
+        if (op.status === Status.RUNNING) return true;
+        const age = now - new Date(op.fetchedAt || op.completedAt || op.createdAt).getTime();
+        const keep = age < (op.fetchedAt ? FETCHED_TTL : UNFETCHED_TTL);
+
+        if (!keep && op.result?.file) {
+            try { fs.unlinkSync(path.join(OUTPUT_DIR, op.result.file)); } catch {}
+        }
+        return keep;
+    });
+
+    const removed = before - opsCache.length;
+    if (removed > 0) {
+        save();
+        log.info('Cleaned up old operations', { removed });
+    }
+    return removed;
+}
+
+setInterval(cleanupOldOperations, 10 * 60 * 1000).unref();
+
+module.exports = {
+    Status,
+    events,
+    createOperation,
+    getOperation,
+    getOperationsByOwner,
+    completeOperation,
+    failOperation,
+    run,
+    drain,
+    findByOutput,
+    markFetched,
+    cleanupOldOperations
+};
@@ -0,0 +1,652 @@
+/**
+ * Prompt files - Turns an uploaded prompts file into prompts with per-prompt options
+ * Formats: JSON (strings, objects or { prompts: [...] }), JSONL, CSV/TSV, YAML
+ * lists, Markdown bullet or numbered lists, SRT/WebVTT subtitles (one prompt
+ * per cue, with its timestamps) and plain text (one prompt per line, # starts
+ * a comment). The format is detected from the content; the file extension only
+ * settles what the content leaves open.
+ *
+ * CSV/TSV follows RFC 4180: cells may be quoted, a quoted cell may hold the
+ * delimiter and line breaks, and "" inside quotes is a literal quote. A first
+ * row naming a prompt column (prompt, prompts, prompt_text or text) is a
+ * header, and these optional columns then set options for their row:
+ * aspect_ratio, count, seed, filename, motion_script. Outside .csv/.tsv files
+ * the header must also name one of those columns to be read as CSV.
+ * Without a header the first column is the prompt and the rest is ignored.
+ * JSON, JSONL and YAML objects take the same fields.
+ *
+ * Rows that fail validation are reported with the line they start on instead
+ * of being dropped silently; the valid rows are still returned.
+ */
+
+const path = require('path');
+
+const ASPECT_RATIOS = ['1:1', '16:9', '9:16'];
+const MAX_SEED = 2147483647;
+const MAX_FILENAME = 100;
+
+// Column name (lower case, without spaces, _ or -) → item field
+const COLUMNS = {
+    prompt: 'prompt',
+    prompts: 'prompt',
+    prompttext: 'prompt',
+    text: 'prompt',
+    aspectratio: 'aspectRatio',
+    aspect: 'aspectRatio',
+    ratio: 'aspectRatio',
+    count: 'count',
+    copies: 'count',
+    seed: 'seed',
+    filename: 'filename',
+    file: 'filename',
+    motionscript: 'motionScript',
+    motion: 'motionScript',
+    videoscript: 'motionScript'
+};
+
+function columnKey(name) {
+    return String(name).trim().toLowerCase().replace(/[\s_-]/g, '');
+}
+
+function columnField(name) {
+    return COLUMNS[columnKey(name)] || null;
+}
+
+// Field for each column name; an exact "prompt" column wins over its aliases (text, prompts)
+function columnFields(names) {
+    const fields = names.map(columnField);
+    if (!names.some(name => columnKey(name) === 'prompt')) return fields;
+    return fields.map((field, i) => field === 'prompt' && columnKey(names[i]) !== 'prompt' ? null : field);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// The prompt box holds one prompt per line, so line breaks inside a cell become spaces
+function singleLine(value) {
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Validate one prompt and its options. Returns { item } with only the options
+ * that were given, or { error } naming every problem in the row.
+ */
+function normalizeItem(fields, { maxCount }) {
+    const problems = [];
+    const prompt = isBlank(fields.prompt) ? '' : singleLine(fields.prompt);
+    if (!prompt) problems.push('prompt is empty');
+
+    const item = { prompt };
+
+    if (!isBlank(fields.aspectRatio)) {
+        const ratio = String(fields.aspectRatio).trim();
+        if (ASPECT_RATIOS.includes(ratio)) item.aspectRatio = ratio;
+        else problems.push(`aspect ratio must be one of ${ASPECT_RATIOS.join(', ')}, got '${ratio}'`);
+    }
+
+    if (!isBlank(fields.count)) {
+        const count = Number(String(fields.count).trim());
+        if (Number.isInteger(count) && count >= 1 && count <= maxCount) item.count = count;
+        else problems.push(`count must be a whole number from 1 to ${maxCount}, got '${fields.count}'`);
+    }
+
+    if (!isBlank(fields.seed)) {
+        const seed = Number(String(fields.seed).trim());
+        if (Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED) item.seed = seed;
+        else problems.push(`seed must be a whole number from 0 to ${MAX_SEED}, got '${fields.seed}'`);
+    }
+
+    if (!isBlank(fields.filename)) {
+        // Downloads add their own extension
+        const filename = String(fields.filename).trim().replace(/\.(png|jpe?g|mp4)$/i, '');
+        if (/^[\p{L}\p{N}][\p{L}\p{N} ._()-]*$/u.test(filename) && filename.length <= MAX_FILENAME) item.filename = filename;
+        else problems.push(`filename may only use letters, digits, spaces and . _ ( ) - (up to ${MAX_FILENAME}), got '${fields.filename}'`);
+    }
+
+    if (!isBlank(fields.motionScript)) item.motionScript = singleLine(fields.motionScript);
+
+    return problems.length > 0 ? { error: problems.join('; ') } : { item };
+}
+
+// ============================================
+// CSV / TSV
+// ============================================
+
+/**
+ * Split RFC 4180 text into records: [{ line, cells }], line being where the
+ * record starts. An unterminated quote ends parsing with { error, line }.
+ */
+function parseDelimited(content, delimiter) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    const endCell = () => {
+        cells.push(cell);
+        cell = '';
+    };
+    const endRecord = () => {
+        endCell();
+        records.push({ line: recordLine, cells });
+        cells = [];
+        recordLine = line;
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const ch = content[i];
+
+        if (quoted) {
+            if (ch === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"' && cell === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (ch === delimiter) {
+            endCell();
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && content[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (quoted) return { records, error: { line: quoteLine, error: 'quoted cell is never closed' } };
+    if (cell !== '' || cells.length > 0) endRecord();
+    return { records, error: null };
+}
+
+function parseCsv(content, options) {
+    const { records, error } = parseDelimited(content, options.format === 'tsv' ? '\t' : ',');
+    const rows = records.filter(record => record.cells.some(cell => cell.trim()));
+
+    // A first row naming the prompt column is a header; unknown columns are ignored
+    const header = rows[0] && columnFields(rows[0].cells);
+    const hasHeader = !!header?.includes('prompt');
+    const fieldOf = hasHeader ? header : ['prompt'];
+
+    const items = [];
+    const errors = [];
+    for (const { line, cells } of hasHeader ? rows.slice(1) : rows) {
+        const fields = {};
+        cells.forEach((cell, i) => {
+            if (fieldOf[i] && isBlank(fields[fieldOf[i]])) fields[fieldOf[i]] = cell;
+        });
+
+        const result = normalizeItem(fields, options);
+        if (result.item) items.push(result.item);
+        else errors.push({ line, error: result.error });
+    }
+    if (error) errors.push(error);
+
+    return { items, errors };
+}
+
+// ============================================
+// JSON, JSONL AND TEXT
+// ============================================
+
+function parseText(content) {
+    const items = content.split(/\r?\n/)
+        .map(l => l.trim())
+        .filter(l => l && !l.startsWith('#'))
+        .map(prompt => ({ prompt }));
+    return { items, errors: [] };
+}
+
+// A prompt string, or an object whose keys are matched like CSV columns
+function fieldsOf(entry) {
+    if (typeof entry === 'string') return { prompt: entry };
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+
+    const fields = {};
+    const keys = Object.keys(entry);
+    columnFields(keys).forEach((field, i) => {
+        if (field && isBlank(fields[field])) fields[field] = entry[keys[i]];
+    });
+    return fields;
+}
+
+function addEntry(entry, where, options, items, errors) {
+    const fields = fieldsOf(entry);
+    const result = !fields ? { error: 'expected a prompt string or an object with a prompt' }
+        : typeof entry === 'object' && fields.prompt === undefined ? { error: `no prompt field (found ${Object.keys(entry).join(', ') || 'none'})` }
+            : normalizeItem(fields, options);
+    if (result.item) items.push(result.item);
+    else errors.push({ ...where, error: result.error });
+}
+
+function parseJson(content, options) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch {
+        return parseText(content);
+    }
+
+    if (!Array.isArray(data) && !Array.isArray(data?.prompts)) {
+        return { items: [], errors: [{ line: 1, error: 'expected an array or an object with a prompts array' }] };
+    }
+
+    const list = Array.isArray(data) ? data : data.prompts;
+    const items = [];
+    const errors = [];
+    list.forEach((entry, i) => addEntry(entry, { item: i + 1 }, options, items, errors));
+    return { items, errors };
+}
+
+function parseJsonl(content, options) {
+    const items = [];
+    const errors = [];
+    content.split(/\r?\n/).forEach((raw, i) => {
+        if (!raw.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(raw);
+        } catch {
+            errors.push({ line: i + 1, error: 'not valid JSON' });
+            return;
+        }
+        addEntry(entry, { line: i + 1 }, options, items, errors);
+    });
+    return { items, errors };
+}
+
+// ============================================
+// YAML
+// ============================================
+
+/*
+ * The part of YAML a prompt list needs: a list at the top level or under
+ * "prompts:", whose items are scalars or flat "key: value" mappings. Values
+ * may be plain, single- or double-quoted, or | and > blocks. Anything else
+ * (nested collections, flow [ ] and { }, anchors) is reported with its line.
+ */
+
+function yamlError(line, message) {
+    const error = new Error(message);
+    error.line = line;
+    return error;
+}
+
+function indentOf(raw) {
+    return raw.match(/^ */)[0].length;
+}
+
+// Drop a trailing comment: # at the start or after whitespace, outside quotes
+function stripComment(raw) {
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+        const ch = raw[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+            return raw.slice(0, i).trimEnd();
+        }
+    }
+    return raw.trimEnd();
+}
+
+function isYamlFiller(raw) {
+    const text = stripComment(raw).trim();
+    return text === '' || text === '---' || text === '...';
+}
+
+function unquote(text, line) {
+    const quote = text[0];
+    let out = '';
+    let i = 1;
+    for (; i < text.length; i++) {
+        const ch = text[i];
+        if (quote === "'" && ch === "'" && text[i + 1] === "'") {
+            out += "'";
+            i++;
+        } else if (quote === '"' && ch === '\\') {
+            const next = text[++i];
+            out += { n: '\n', t: '\t', '"': '"', '\\': '\\', '/': '/' }[next] ?? next;
+        } else if (ch === quote) {
+            break;
+        } else {
+            out += ch;
+        }
+    }
+    if (i >= text.length) throw yamlError(line, 'quoted value is never closed');
+    if (stripComment(text.slice(i + 1)).trim()) throw yamlError(line, 'unexpected text after a quoted value');
+    return out;
+}
+
+// head: text after "- " or "key:"; more: the deeper-indented lines under it
+function yamlScalar(head, more, line) {
+    const text = head.trim();
+    const lines = more.map(raw => raw.trim());
+
+    if (/^[|>][-+]?\d?$/.test(text)) return lines.join(' ');
+    if (text.startsWith('"') || text.startsWith("'")) return unquote([text, ...lines].join(' '), line);
+    if (/^[[{&*!]/.test(text)) throw yamlError(line, 'flow collections, anchors and tags are not supported');
+
+    const rest = more.map(stripComment).map(l => l.trim()).filter(Boolean);
+    if (rest.some(l => l.startsWith('- ') || /^[^\s"'][^:]*:(\s|$)/.test(l))) {
+        throw yamlError(line, 'nested lists and mappings are not supported');
+    }
+    const value = [stripComment(text), ...rest].join(' ').trim();
+    return value === '~' || value === 'null' ? null : value;
+}
+
+const YAML_KEY = /^([^\s"'#-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/;
+
+// Item lines after the "- " line; keys sit at the column where the first key started
+function yamlMapping(first, column, body, bodyLine) {
+    const entries = [{ key: first[1], head: first[2] || '', line: bodyLine - 1, more: [] }];
+    body.forEach((raw, k) => {
+        const text = stripComment(raw).trim();
+        if (raw.trim() && indentOf(raw) > column) {
+            entries[entries.length - 1].more.push(raw);
+        } else if (!text) {
+            return;     // blank or comment line
+        } else if (indentOf(raw) === column && YAML_KEY.test(text)) {
+            const match = YAML_KEY.exec(text);
+            entries.push({ key: match[1], head: match[2] || '', line: bodyLine + k, more: [] });
+        } else {
+            throw yamlError(bodyLine + k, 'expected "key: value" in a prompt item');
+        }
+    });
+
+    const object = {};
+    for (const entry of entries) {
+        object[entry.key] = yamlScalar(entry.head, entry.more, entry.line);
+    }
+    return object;
+}
+
+function parseYaml(content, options) {
+    const rows = content.split(/\r?\n/);
+    const items = [];
+    const errors = [];
+    const nextContent = from => {
+        let i = from;
+        while (i < rows.length && isYamlFiller(rows[i])) i++;
+        return i < rows.length ? i : -1;
+    };
+
+    // Optional top-level "prompts:" wrapper
+    let i = nextContent(0);
+    if (i !== -1 && indentOf(rows[i]) === 0 && /^prompts\s*:$/.test(stripComment(rows[i]).trim())) i = nextContent(i + 1);
+    if (i === -1) return { items, errors };
+
+    const listIndent = indentOf(rows[i]);
+    while (i !== -1) {
+        const raw = rows[i];
+        const dash = /^(\s*)-(\s+|$)/.exec(raw);
+        if (!dash || indentOf(raw) !== listIndent) {
+            errors.push({ line: i + 1, error: 'expected a list item ("- prompt")' });
+            break;
+        }
+
+        // The item runs until the next line at or left of the dash
+        let end = i + 1;
+        while (end < rows.length && (!rows[end].trim() || indentOf(rows[end]) > listIndent)) end++;
+        const head = raw.slice(dash[0].length);
+        const body = rows.slice(i + 1, end);
+
+        try {
+            const key = YAML_KEY.exec(stripComment(head).trim());
+            const entry = key && !/^["']/.test(head.trim())
+                ? yamlMapping(key, dash[0].length, body, i + 2)
+                : yamlScalar(head, body.filter(l => l.trim()), i + 1);
+            addEntry(entry, { line: i + 1 }, options, items, errors);
+        } catch (error) {
+            errors.push({ line: error.line || i + 1, error: error.message });
+        }
+        i = nextContent(end);
+    }
+    return { items, errors };
+}
+
+// ============================================
+// MARKDOWN
+// ============================================
+
+const LIST_ITEM = /^\s*(?:[-*+]|\d{1,9}[.)])\s+(.*)$/;
+const THEMATIC_BREAK = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+
+// Keep the words of inline markup: links, emphasis, code, task boxes
+function stripInline(text) {
+    return text
+        .replace(/^\[[ xX]\]\s+/, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|[\s(])[*_](\S(?:.*?\S)?)[*_](?=[\s).,!?:;]|$)/g, '$1$2')
+        .replace(/`([^`]*)`/g, '$1');
+}
+
+// Every bullet or numbered item (at any depth) is a prompt; headings and paragraphs are ignored
+function parseMarkdown(content, options) {
+    const found = [];
+    let fenced = false;
+    let current = null;
+
+    content.split(/\r?\n/).forEach((raw, i) => {
+        if (/^\s*(```|~~~)/.test(raw)) {
+            fenced = !fenced;
+            current = null;
+            return;
+        }
+        if (fenced || THEMATIC_BREAK.test(raw)) {
+            current = null;
+            return;
+        }
+
+        const match = LIST_ITEM.exec(raw);
+        if (match) {
+            current = { line: i + 1, text: match[1] };
+            found.push(current);
+        } else if (current && raw.trim() && /^\s/.test(raw)) {
+            current.text += ` ${raw.trim()}`;   // wrapped item text
+        } else {
+            current = null;
+        }
+    });
+
+    const items = [];
+    const errors = [];
+    for (const { line, text } of found) {
+        addEntry(stripInline(text), { line }, options, items, errors);
+    }
+    return { items, errors };
+}
+
+// ============================================
+// SUBTITLES (SRT / WEBVTT)
+// ============================================
+
+const CUE_TIME = /^((?:\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{1,3})(?:\s|$)/;
+const CUE_TIMESTAMP = /^\d{2}:\d{2}:\d{2}\.\d{3}$/;
+
+// "1:02,5" or "00:01:02.500" → "00:01:02.500"
+function normalizeTimestamp(text) {
+    const [clock, fraction] = text.split(/[,.]/);
+    const parts = clock.split(':').map(Number);
+    while (parts.length < 3) parts.unshift(0);
+    const [h, m, sec] = parts;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(h)}:${pad(m)}:${pad(sec)}.${fraction.padEnd(3, '0')}`;
+}
+
+// Cue payload without styling: <i>, <v Speaker>, {\an8}, entities
+function cueText(lines) {
+    return lines.join(' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function isCue(cue) {
+    return !!cue && CUE_TIMESTAMP.test(cue.start) && CUE_TIMESTAMP.test(cue.end);
+}
+
+// One prompt per cue, with cue: { start, end } as HH:MM:SS.mmm
+function parseSubtitles(content, options) {
+    const lines = content.split(/\r?\n/);
+    const items = [];
+    const errors = [];
+
+    let i = 0;
+    while (i < lines.length) {
+        if (!lines[i].trim()) {
+            i++;
+            continue;
+        }
+
+        // Cues are blocks separated by blank lines: optional id, timing, text
+        const start = i;
+        const block = [];
+        while (i < lines.length && lines[i].trim()) block.push(lines[i++].trim());
+
+        if (/^WEBVTT\b/.test(block[0]) || /^(NOTE|STYLE|REGION)\b/.test(block[0])) continue;
+
+        const timingAt = block.findIndex(line => line.includes('-->'));
+        if (timingAt === -1 || timingAt > 1) {
+            errors.push({ line: start + 1, error: 'cue has no "start --> end" timing line' });
+            continue;
+        }
+        const timing = CUE_TIME.exec(block[timingAt]);
+        if (!timing) {
+            errors.push({ line: start + timingAt + 1, error: `invalid cue timing '${block[timingAt]}'` });
+            continue;
+        }
+
+        const cue = { start: normalizeTimestamp(timing[1]), end: normalizeTimestamp(timing[2]) };
+        const text = cueText(block.slice(timingAt + 1));
+        if (!text.trim()) {
+            errors.push({ line: start + 1, error: 'cue has no text' });
+            continue;
+        }
+        const result = normalizeItem({ prompt: text }, options);
+        if (result.item) items.push({ ...result.item, cue });
+        else errors.push({ line: start + 1, error: result.error });
+    }
+    return { items, errors };
+}
+
+// ============================================
+// FORMAT DETECTION
+// ============================================
+
+const EXTENSIONS = {
+    '.json': 'json',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+    '.txt': 'text'
+};
+
+const PARSERS = {
+    json: parseJson,
+    jsonl: parseJsonl,
+    csv: parseCsv,
+    tsv: parseCsv,
+    yaml: parseYaml,
+    markdown: parseMarkdown,
+    srt: parseSubtitles,
+    vtt: parseSubtitles,
+    text: parseText
+};
+
+function isJson(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Format of a prompts file, from its content first: signatures that can't be
+ * anything else (WEBVTT, SRT timings, JSON), then a CSV header, YAML markers
+ * and list-shaped text. The extension decides what the content leaves open,
+ * such as a plain "- item" list (Markdown unless the file is .yaml).
+ */
+function detectFormat(content, name = '') {
+    const byExtension = EXTENSIONS[path.extname(name).toLowerCase()] || null;
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const first = lines[0] || '';
+
+    if (/^WEBVTT\b/.test(first)) return 'vtt';
+    if (lines.slice(0, 3).some(line => CUE_TIME.test(line))) return 'srt';
+    if (/^[[{]/.test(first) && isJson(content)) return 'json';
+    // JSON per line; a minority of broken lines are reported rather than turning it into text
+    if (/^[[{]/.test(first) && isJson(first) && lines.filter(isJson).length * 2 > lines.length) return 'jsonl';
+
+    // Tabs outnumbering commas on the first line mean TSV
+    const delimiter = (first.match(/\t/g) || []).length > (first.match(/,/g) || []).length ? '\t' : ',';
+    const delimited = delimiter === '\t' ? 'tsv' : 'csv';
+    if (byExtension === 'csv' || byExtension === 'tsv') return delimited;
+    // Elsewhere a header needs a prompt column and another known column, so prose isn't taken for one
+    const header = first.includes(delimiter) ? columnFields(parseDelimited(first, delimiter).records[0].cells) : [];
+    if (header.includes('prompt') && header.some(field => field && field !== 'prompt')) return delimited;
+
+    if (first === '---' || /^prompts\s*:\s*(#.*)?$/.test(first) || lines.some(line => /^-\s+(prompt|text)\s*:(\s|$)/.test(line))) {
+        return 'yaml';
+    }
+
+    const listItems = lines.filter(line => LIST_ITEM.test(line)).length;
+    const textLines = lines.filter(line => !line.startsWith('#')).length;
+    if (listItems > 0 && listItems * 2 >= textLines) return byExtension === 'yaml' ? 'yaml' : 'markdown';
+
+    return byExtension || 'text';
+}
+
+/**
+ * Parse an uploaded prompts file.
+ * options: { name: original file name, maxCount: largest count per prompt }
+ * Returns { format, items: [{ prompt, aspectRatio?, count?, seed?, filename?, motionScript?, cue? }],
+ *           errors: [{ line | item, error }] }
+ */
+function parse(content, { name = '', maxCount = 8 } = {}) {
+    const text = content.replace(/^\uFEFF/, '');
+    const format = detectFormat(text, name);
+    const { items, errors } = PARSERS[format](text, { format, maxCount });
+    return { format, items, errors };
+}
+
+module.exports = {
+    ASPECT_RATIOS,
+    parse,
+    detectFormat,
+    parseDelimited,
+    normalizeItem,
+    isCue
+};
@@ -5,10 +5,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const vault = require('./vault');
+const { ERROR_TYPES } = require('./errors');
+const config = require('./config');
+const log = require('./logger').child('queue');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
-const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 5;
+const MAX_CONCURRENT_JOBS = config.worker.maxConcurrentJobs;
 
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -29,6 +34,7 @@ const Status = {
 let jobsCache = null;  // in-memory job store
 let isDirty = false;    // whether cache has unsaved changes
 let saveTimer = null;   // debounce timer
+let lastEventSeq = null; // highest event sequence handed out (SSE event ids)
 
 function loadJobsFromDisk() {
     try {
@@ -36,13 +42,13 @@ function loadJobsFromDisk() {
             return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
         }
     } catch (e) {
-        console.error('[Queue] Error reading jobs file:', e.message);
+        log.error('Could not read jobs file', { error: e });
 
         // Try backup
         const backup = JOBS_FILE + '.bak';
         if (fs.existsSync(backup)) {
             try {
-                console.log('[Queue] Restoring from backup...');
+                log.warn('Restoring jobs from backup');
                 return JSON.parse(fs.readFileSync(backup, 'utf8'));
             } catch {}
         }
@@ -57,6 +63,20 @@ function getJobs() {
     return jobsCache;
 }
 
+// Monotonic across restarts: resumes from the highest sequence stored on disk
+function nextEventSeq() {
+    if (lastEventSeq === null) {
+        lastEventSeq = 0;
+        for (const job of getJobs()) {
+            lastEventSeq = Math.max(lastEventSeq, job.eventSeq || 0);
+            for (const p of job.prompts || []) {
+                lastEventSeq = Math.max(lastEventSeq, p.eventSeq || 0);
+            }
+        }
+    }
+    return ++lastEventSeq;
+}
+
 function saveToDisk() {
     if (!isDirty || jobsCache === null) return;
 
@@ -72,7 +92,7 @@ function saveToDisk() {
         fs.writeFileSync(JOBS_FILE, data);
         isDirty = false;
     } catch (e) {
-        console.error('[Queue] Error saving jobs:', e.message);
+        log.error('Could not save jobs', { error: e });
     }
 }
 
@@ -95,30 +115,42 @@ setInterval(() => {
     if (isDirty) saveToDisk();
 }, 30000);
 
-// Save on process exit
+// Save on process exit (SIGINT/SIGTERM go through the server's graceful shutdown, which flushes last)
 process.on('beforeExit', saveToDisk);
-process.on('SIGINT', () => { saveToDisk(); process.exit(0); });
-process.on('SIGTERM', () => { saveToDisk(); process.exit(0); });
 
 // ============================================
 // JOB OPERATIONS (all in-memory, minimal disk I/O)
 // ============================================
 
-function createJob({ cookie, prompts, aspectRatio }) {
+// Stable per-account identifier used for job ownership checks
+function hashCookie(cookie) {
+    return crypto.createHash('sha256').update(cookie).digest('hex').slice(0, 32);
+}
+
+// prompts: [{ text, aspectRatio?, seed?, cue? }]; a prompt's aspect ratio overrides the job's
+function createJob({ cookie, accountCookies, prompts, aspectRatio, rewordRules = null, webhooks = [], requestId = null }) {
     const jobs = getJobs();
 
     const job = {
         id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-        cookieHash: Buffer.from(cookie).toString('base64').slice(0, 16), // store hash, not full cookie
-        cookie,
+        cookieHash: hashCookie(cookie),
+        cookie: vault.seal(cookie),     // unsealed by the worker right before use
+        accountCookies: (accountCookies || [cookie]).map(vault.seal),   // rotation pool, primary first
         aspectRatio: aspectRatio || '1:1',
+        rewordRules,                    // reword.js rule text, null = report safety blocks only
+        webhooks: webhooks.map(w => ({ url: w.url, secret: vault.seal(w.secret) })),
+        webhookDeliveries: [],          // webhooks.js delivery log
+        requestId,                      // request that created the job, carried by the worker's logs
         status: Status.PENDING,
         createdAt: new Date().toISOString(),
         startedAt: null,
         completedAt: null,
-        prompts: prompts.map((text, i) => ({
+        prompts: prompts.map((prompt, i) => ({
             id: `p_${Date.now()}_${i}`,
-            text,
+            text: prompt.text,
+            aspectRatio: prompt.aspectRatio || null,
+            seed: prompt.seed ?? null,
+            cue: prompt.cue || null,        // subtitle cue { start, end } the prompt was imported from
             status: 'pending',
             imageUrl: null,
             error: null
@@ -142,6 +174,16 @@ function getAllJobs() {
     return getJobs();
 }
 
+function getJobsByOwner(cookieHash) {
+    return getJobs().filter(j => j.cookieHash === cookieHash);
+}
+
+// Job that produced a file in output/ (matched on the recorded /output/<file> URL)
+function findJobByOutput(filename) {
+    const url = `/output/${filename}`;
+    return getJobs().find(j => j.prompts?.some(p => p.imageUrl === url)) || null;
+}
+
 function updateJob(jobId, updates) {
     const jobs = getJobs();
     const idx = jobs.findIndex(j => j.id === jobId);
@@ -151,6 +193,7 @@ function updateJob(jobId, updates) {
 
     // Immediate save for status changes (completed, failed, cancelled)
     if (updates.status) {
+        jobs[idx].eventSeq = nextEventSeq();
         saveNow();
     } else {
         scheduleSave();
@@ -168,6 +211,7 @@ function updatePrompt(jobId, promptId, updates) {
     if (!prompt) return null;
 
     Object.assign(prompt, updates);
+    if (updates.status) prompt.eventSeq = nextEventSeq();
 
     // Recalculate progress
     job.completedCount = job.prompts.filter(p => p.status === 'completed').length;
@@ -216,9 +260,69 @@ function getStats() {
     };
 }
 
+// Rebuild the events a client missed from current job state (SSE Last-Event-ID replay).
+// Each prompt/job yields at most one event reflecting its latest status.
+function getEventsSince(job, afterSeq) {
+    const events = [];
+    const counts = {
+        progress: job.progress,
+        completedCount: job.completedCount,
+        failedCount: job.failedCount,
+        totalCount: job.totalCount
+    };
+
+    for (const p of job.prompts || []) {
+        if (!p.eventSeq || p.eventSeq <= afterSeq) continue;
+        const base = { id: p.eventSeq, jobId: job.id, promptId: p.id };
+
+        if (p.status === 'processing') {
+            events.push({ ...base, type: 'prompt-processing', text: p.text });
+        } else if (p.status === 'completed') {
+            events.push({ ...base, type: 'prompt-completed', imageUrl: p.imageUrl, finalPrompt: p.finalText || p.text, blockedPrompts: p.blockedPrompts || [], ...counts });
+        } else if (p.status === 'interrupted') {
+            events.push({ ...base, type: 'prompt-interrupted', ...counts });
+        } else if (p.status === 'error') {
+            const retryable = ERROR_TYPES[p.errorCode]?.retryable ?? null;
+            events.push({ ...base, type: 'prompt-error', error: p.error, code: p.errorCode || null, retryable, blockedPrompts: p.blockedPrompts || [], ...counts });
+        }
+    }
+
+    if (job.eventSeq && job.eventSeq > afterSeq) {
+        const base = { id: job.eventSeq, jobId: job.id };
+
+        if (job.status === Status.PROCESSING) {
+            events.push({ ...base, type: 'job-started' });
+        } else if (job.status === Status.COMPLETED || job.status === Status.FAILED) {
+            events.push({
+                ...base,
+                type: 'job-completed',
+                ...(job.status === Status.FAILED ? { error: job.error || 'Job failed' } : {}),
+                completedCount: job.completedCount,
+                failedCount: job.failedCount,
+                totalCount: job.totalCount
+            });
+        } else if (job.status === Status.CANCELLED) {
+            events.push({ ...base, type: 'job-cancelled' });
+        }
+    }
+
+    return events.sort((a, b) => a.id - b.id);
+}
+
+// Sequence number of the latest event for a prompt or job (used as the SSE id)
+function getEventSeq(jobId, promptId) {
+    const job = getJob(jobId);
+    if (!job) return null;
+    if (promptId) {
+        const prompt = job.prompts.find(p => p.id === promptId);
+        return prompt?.eventSeq || null;
+    }
+    return job.eventSeq || null;
+}
+
 function cleanupOldJobs() {
     const jobs = getJobs();
-    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const cutoff = Date.now() - config.jobs.retention;
     const before = jobs.length;
 
     jobsCache = jobs.filter(j => {
@@ -230,7 +334,7 @@ function cleanupOldJobs() {
     const removed = before - jobsCache.length;
     if (removed > 0) {
         saveNow();
-        console.log(`[Queue] Cleaned up ${removed} old jobs`);
+        log.info('Cleaned up old jobs', { removed });
     }
     return removed;
 }
@@ -247,9 +351,12 @@ module.exports = {
     MAX_CONCURRENT_JOBS,
     loadJobs,
     saveJobs,
+    hashCookie,
     createJob,
     getJob,
     getJobs: getAllJobs,
+    getJobsByOwner,
+    findJobByOutput,
     updateJob,
     updatePrompt,
     cancelJob,
@@ -258,6 +365,8 @@ module.exports = {
     getActiveCount,
     canStartNew,
     getStats,
+    getEventsSince,
+    getEventSeq,
     cleanupOldJobs,
     saveToDisk  // for explicit flush
 };
@@ -0,0 +1,79 @@
+/**
+ * Reference Sessions - Reference images uploaded once and reused across prompts
+ * A session owns the Whisk project holding the captioned uploads, so each
+ * generate call only sends the session id instead of re-uploading every image.
+ * Sessions live in memory; a restarted server answers 410 and clients re-upload.
+ */
+
+const config = require('./config');
+const log = require('./logger').child('refsessions');
+
+const IDLE_TTL = config.refsessions.idleTtl; // drop sessions unused this long
+
+const sessions = new Map();
+
+function createSession({ cookieHash, project, references }) {
+    const session = {
+        id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        cookieHash,
+        project,
+        references,
+        createdAt: Date.now(),
+        lastUsedAt: Date.now()
+    };
+
+    sessions.set(session.id, session);
+    return session;
+}
+
+// Owner-checked lookup; refreshes the idle timer
+function getSession(id, cookieHash) {
+    const session = sessions.get(id);
+    if (!session || session.cookieHash !== cookieHash) return null;
+
+    session.lastUsedAt = Date.now();
+    return session;
+}
+
+function deleteSession(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+
+    sessions.delete(id);
+    if (session.project) session.project.delete().catch(() => {});
+    return true;
+}
+
+function cleanupIdleSessions() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const session of [...sessions.values()]) {
+        if (now - session.lastUsedAt > IDLE_TTL) {
+            deleteSession(session.id);
+            removed++;
+        }
+    }
+
+    if (removed > 0) log.info('Cleaned up idle sessions', { removed });
+    return removed;
+}
+
+function toPublicSession(session) {
+    return {
+        id: session.id,
+        references: session.references,
+        expiresAt: new Date(session.lastUsedAt + IDLE_TTL).toISOString()
+    };
+}
+
+setInterval(cleanupIdleSessions, 10 * 60 * 1000).unref();
+
+module.exports = {
+    IDLE_TTL,
+    createSession,
+    getSession,
+    deleteSession,
+    cleanupIdleSessions,
+    toPublicSession
+};
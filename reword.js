@@ -0,0 +1,128 @@
+/**
+ * Reword - Retry prompts the safety filter refused, with softer wording
+ * Rules are "find => replace" lines (replace may be empty to drop the word);
+ * find matches whole words, case-insensitively. Each retry applies one more
+ * matching rule on top of the last, so callers know exactly which wording
+ * finally went through.
+ */
+
+const { ErrorCode, createError, classify } = require('./errors');
+const config = require('./config');
+const log = require('./logger').child('reword');
+
+const MAX_REWORDS = config.reword.maxRewords;   // retries after the original prompt was blocked
+const MAX_RULES = 100;
+
+const DEFAULT_RULES = [
+    'bloody => crimson',
+    'blood => red paint',
+    'gore =>',
+    'gory => dramatic',
+    'corpse => fallen statue',
+    'dead => motionless',
+    'kill => defeat',
+    'killing => defeating',
+    'murder => mystery',
+    'gun => prop',
+    'guns => props',
+    'weapon => tool',
+    'weapons => tools',
+    'violent => intense',
+    'nude => fully clothed',
+    'naked => fully clothed',
+    'sexy => elegant',
+    'drunk => cheerful',
+    'cigarette => pen',
+    'smoking => relaxing'
+].join('\n');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse rule text into [{ find, replace, pattern }].
+ * Blank lines and lines starting with # are ignored; anything else without
+ * "=>" is rejected with BAD_INPUT so a typo doesn't silently disable a rule.
+ */
+function parseRules(text = DEFAULT_RULES) {
+    if (typeof text !== 'string') throw createError(ErrorCode.BAD_INPUT, 'Reword rules must be text, one "find => replace" per line');
+
+    const rules = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const sep = line.indexOf('=>');
+        const find = sep === -1 ? '' : line.slice(0, sep).trim();
+        if (!find) {
+            throw createError(ErrorCode.BAD_INPUT, `Reword rule on line ${i + 1} must look like "find => replace"`);
+        }
+
+        rules.push({
+            find,
+            replace: line.slice(sep + 2).trim(),
+            pattern: new RegExp(`(?<![\\w])${escapeRegExp(find)}(?![\\w])`, 'gi')
+        });
+    });
+
+    if (rules.length > MAX_RULES) throw createError(ErrorCode.BAD_INPUT, `At most ${MAX_RULES} reword rules are allowed`);
+    return rules;
+}
+
+// Successively softer versions of the prompt, at most MAX_REWORDS of them
+function rewordings(prompt, rules) {
+    const steps = [];
+    let text = prompt;
+
+    for (const rule of rules) {
+        const next = text.replace(rule.pattern, rule.replace).replace(/\s{2,}/g, ' ').trim();
+        if (next && next !== text) {
+            text = next;
+            steps.push(text);
+        }
+    }
+
+    // Too many matching rules: keep the first steps and make the last try carry all of them
+    if (steps.length > MAX_REWORDS) return [...steps.slice(0, MAX_REWORDS - 1), steps[steps.length - 1]];
+    return steps;
+}
+
+/**
+ * Run attempt(promptText), rewording and retrying while the safety filter
+ * blocks it. rules === null turns rewording off (the block is still reported).
+ * Resolves { result, prompt, blocked } where prompt is the wording that went
+ * through and blocked lists the wordings refused before it. The final
+ * SAFETY_BLOCKED error carries blocked as error.blockedPrompts.
+ */
+async function withRewording(prompt, rules, attempt) {
+    const candidates = [prompt, ...(rules ? rewordings(prompt, rules) : [])];
+    const blocked = [];
+
+    for (const text of candidates) {
+        try {
+            const result = await attempt(text);
+            return { result, prompt: text, blocked };
+        } catch (error) {
+            if (classify(error) !== ErrorCode.SAFETY_BLOCKED) throw error;
+            blocked.push(text);
+            if (blocked.length < candidates.length) {
+                log.info('Blocked, retrying reworded', { attempt: blocked.length, of: candidates.length - 1 });
+            }
+        }
+    }
+
+    const error = createError(ErrorCode.SAFETY_BLOCKED, blocked.length > 1
+        ? `Blocked by the safety filter (tried ${blocked.length} wordings)`
+        : 'Blocked by the safety filter');
+    error.blockedPrompts = blocked;
+    throw error;
+}
+
+module.exports = {
+    MAX_REWORDS,
+    DEFAULT_RULES,
+    parseRules,
+    rewordings,
+    withRewording
+};
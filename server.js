@@ -1,7 +1,9 @@
 /**
- * Bulkmass Server - Stateless Whisk API Proxy
- * Each user brings their own cookie. Server just proxies to Whisk API.
- * No job queue, no worker, no SSE, no image storage.
+ * Bulkmass Server - Whisk API Proxy + Background Jobs
+ * Each user brings their own cookie, traded once for a session token (vault.js).
+ * Single generations are proxied directly;
+ * batches submitted to /api/jobs run in the server-side worker and survive
+ * the browser tab being closed.
  */
 
 const express = require('express');
@@ -9,19 +11,38 @@ const cors = require('cors');
 const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
+const config = require('./config');
+const queue = require('./queue');
+const worker = require('./worker');
+const operations = require('./operations');
+const refsessions = require('./refsessions');
+const whiskpool = require('./whiskpool');
+const vault = require('./vault');
+const accounts = require('./accounts');
+const reword = require('./reword');
+const apikeys = require('./apikeys');
+const openapi = require('./openapi');
+const promptfiles = require('./promptfiles');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const { ErrorCode, createError, classify, sendError } = require('./errors');
 
 // ============================================
 // GLOBAL ERROR HANDLERS
 // ============================================
 
+const log = logger.child('server');
+const whiskLog = logger.child('whisk');
+
 process.on('uncaughtException', (error) => {
-    console.error('[FATAL] Uncaught Exception:', error.message);
-    console.error(error.stack);
+    log.error('Uncaught exception', { error, stack: error.stack });
 });
 
 process.on('unhandledRejection', (reason) => {
-    console.error('[WARN] Unhandled Rejection:', reason instanceof Error ? reason.message : reason);
+    log.warn('Unhandled rejection', { error: reason instanceof Error ? reason : String(reason) });
 });
 
 // ============================================
@@ -29,18 +50,33 @@ process.on('unhandledRejection', (reason) => {
 // ============================================
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.server.port;
 
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
-const upload = multer({ dest: UPLOADS_DIR, limits: { fileSize: 5 * 1024 * 1024 } });
+const OUTPUT_DIR = path.join(__dirname, 'output');
+if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+const upload = multer({ dest: UPLOADS_DIR, limits: { fileSize: config.uploads.maxFileSize } });
+
+// Single-file upload that hands the request back in its logging context
+const uploadFile = [upload.single('file'), logger.restoreContext];
 
 // Whisk API (ESM dynamic import)
 let Whisk = null;
 let MediaClass = null;
+let ImageGenerationModel = {};
+let VideoGenerationModel = {};
 let whiskLoaded = false;
 
+// Every Whisk library call: timed for /metrics and logged in the context of the request or job that made it
+function observeWhiskRequest(event) {
+    metrics.observeUpstream(event);
+    if (event.error) whiskLog.warn('Whisk call failed', event);
+    else whiskLog.debug('Whisk call', event);
+}
+
 async function loadWhiskApi() {
     if (whiskLoaded) return;
     try {
@@ -48,14 +84,16 @@ async function loadWhiskApi() {
         const localUrl = 'file://' + localPath.replace(/\\/g, '/');
 
         const mod = await import(localUrl);
-        console.log('[Whisk] Local API loaded');
+        whiskLog.info('Local API loaded');
 
         Whisk = mod.Whisk || mod.default?.Whisk || mod.default;
         MediaClass = mod.Media || mod.default?.Media;
+        ImageGenerationModel = mod.ImageGenerationModel || mod.default?.ImageGenerationModel || {};
+        VideoGenerationModel = mod.VideoGenerationModel || mod.default?.VideoGenerationModel || {};
+        (mod.onRequest || mod.default?.onRequest)?.(observeWhiskRequest);
         whiskLoaded = true;
     } catch (e) {
-        console.warn('[Whisk] API not available:', e.message);
-        console.warn(e.stack);
+        whiskLog.warn('API not available', { error: e, stack: e.stack });
         Whisk = null;
         MediaClass = null;
     }
@@ -65,9 +103,15 @@ async function loadWhiskApi() {
 app.set('trust proxy', 1);
 
 // Middleware
-app.use(cors());
+app.use(logger.middleware);
+app.use(metrics.middleware);
+app.use(trackRequest);
+app.use(cors({
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
 app.use(compression());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: config.server.jsonLimit }));
+app.use(logger.restoreContext);
 
 // Security headers
 app.use((req, res, next) => {
@@ -95,37 +139,59 @@ ALLOWED_FILES.forEach(file => {
 // RATE LIMITING
 // ============================================
 
-const rateLimits = new Map();
+const rateLimits = new Map();   // "<route>:<identity>" → { count, resetAt }
 
 // Clean up stale rate limit entries every 5 minutes
 setInterval(() => {
     const now = Date.now();
-    for (const [ip, record] of rateLimits) {
-        if (now > record.resetAt) rateLimits.delete(ip);
+    for (const [key, record] of rateLimits) {
+        if (now > record.resetAt) rateLimits.delete(key);
     }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
-app.use('/api/generate', (req, res, next) => {
-    const ip = req.ip;
-    const now = Date.now();
-    let record = rateLimits.get(ip);
+// Callers are counted per Google account when they have a session, per IP otherwise
+function rateLimitIdentity(req) {
+    const cookieString = getRequestCookie(req);
+    return cookieString ? `acct:${queue.hashCookie(cookieString)}` : `ip:${req.ip}`;
+}
 
-    if (!record || now > record.resetAt) {
-        record = { count: 0, resetAt: now + 60000 };
-    }
+// Fixed-window limiter that reports its state in the IETF RateLimit-* headers.
+// Limits come from config.rateLimits (RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_GENERATE=40/60);
+// validate is keyed by IP since there is no session yet.
+function rateLimit(name) {
+    const { max, windowMs } = config.rateLimits[name];
 
-    record.count++;
-    rateLimits.set(ip, record);
+    return (req, res, next) => {
+        const key = `${name}:${name === 'validate' ? `ip:${req.ip}` : rateLimitIdentity(req)}`;
+        const now = Date.now();
+        let record = rateLimits.get(key);
 
-    if (record.count > 20) {
-        return res.status(429).json({
-            success: false,
-            error: 'Rate limited: max 20 requests per minute. Please wait.'
-        });
-    }
+        if (!record || now > record.resetAt) {
+            record = { count: 0, resetAt: now + windowMs };
+            rateLimits.set(key, record);
+        }
+        record.count++;
+
+        const resetSeconds = Math.max(1, Math.ceil((record.resetAt - now) / 1000));
+        res.setHeader('RateLimit-Policy', `${max};w=${windowMs / 1000}`);
+        res.setHeader('RateLimit-Limit', max);
+        res.setHeader('RateLimit-Remaining', Math.max(0, max - record.count));
+        res.setHeader('RateLimit-Reset', resetSeconds);
+
+        if (record.count > max) {
+            metrics.countRateLimited(name);
+            return sendError(res, createError(
+                ErrorCode.RATE_LIMITED,
+                `Rate limited: max ${max} requests per ${windowMs / 1000}s. Retry in ${resetSeconds}s.`,
+                { retryAfter: resetSeconds }
+            ));
+        }
 
-    next();
-});
+        next();
+    };
+}
+
+const limiters = Object.fromEntries(Object.keys(config.rateLimits).map(name => [name, rateLimit(name)]));
 
 // ============================================
 // HELPERS
@@ -177,6 +243,68 @@ function parseCookies(input) {
     return { cookieString, expirationDate };
 }
 
+// Tiny 1x1 transparent PNG returned for MOCK cookies
+const MOCK_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+// ImageFX returns at most this many images (and captions) per request
+const MAX_CANDIDATES = 8;
+
+const REFERENCE_CATEGORIES = ['SUBJECT', 'SCENE', 'STYLE'];
+
+// MOCK sessions treat any prompt containing the word "unsafe" as refused by the safety filter
+async function mockGenerate(text) {
+    if (/\bunsafe\b/i.test(text)) throw createError(ErrorCode.SAFETY_BLOCKED, 'Blocked by the safety filter (mock)');
+    return text;
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(createError(ErrorCode.TIMEOUT, message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Error message when a category has more images than config.references.maxPerCategory
+function referenceLimitError(references) {
+    const max = config.references.maxPerCategory;
+    const over = REFERENCE_CATEGORIES.find(category =>
+        references.filter(ref => ref?.category === category).length > max);
+    return over ? `At most ${max} ${over} references are allowed` : null;
+}
+
+// Caption (unless the user supplied one) and upload references into a project.
+// Returns [{ category, caption }] for the references that were added.
+async function addReferences(project, references) {
+    const added = [];
+    if (!Array.isArray(references)) return added;
+
+    for (const ref of references) {
+        if (!ref.image || !ref.category) continue;
+
+        // Strip the base64 data URI prefix
+        const cleanBase64 = ref.image.replace(/^data:image\/\w+;base64,/, '');
+        const customCaption = ref.caption?.trim() || undefined;
+
+        let target;
+        if (ref.category === 'SUBJECT') {
+            await project.addSubject(cleanBase64, customCaption);
+            target = project.subjects;
+        } else if (ref.category === 'SCENE') {
+            await project.addScene(cleanBase64, customCaption);
+            target = project.scenes;
+        } else if (ref.category === 'STYLE') {
+            await project.addStyle(cleanBase64, customCaption);
+            target = project.styles;
+        } else {
+            continue;
+        }
+
+        added.push({ category: ref.category, caption: target[target.length - 1].prompt });
+    }
+    return added;
+}
+
 function mapAspectRatio(ratio) {
     const map = {
         '1:1': 'IMAGE_ASPECT_RATIO_SQUARE',
@@ -189,6 +317,166 @@ function mapAspectRatio(ratio) {
     return map[ratio] || 'IMAGE_ASPECT_RATIO_SQUARE';
 }
 
+// Optional explicit seed: undefined when absent, null when invalid
+function parseSeed(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 2147483647) return null;
+    return seed;
+}
+
+// Reword rules for a generate/job request: null unless { reword: true } was sent.
+// rewordRules (text, one "find => replace" per line) overrides reword.DEFAULT_RULES.
+function parseRewordRules(body) {
+    if (!body.reword) return null;
+    return reword.parseRules(body.rewordRules || undefined);
+}
+
+const SESSION_ERROR = 'Session expired or missing. Please validate your cookie again.';
+
+function rejectSession(res) {
+    return sendError(res, createError(ErrorCode.AUTH_EXPIRED, SESSION_ERROR));
+}
+
+// Session token from "Authorization: Bearer <token>"
+function getSessionToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Whether the bearer token equals a configured secret; digests are compared so the check takes the same time whatever the input length
+function bearerMatches(req, expected) {
+    const given = crypto.createHash('sha256').update(getSessionToken(req) || '').digest();
+    const wanted = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(given, wanted);
+}
+
+// The caller's credentials: the API key resolved by the /api/v1 middleware, else the vault session
+function getRequestSession(req) {
+    return req.apiKey || vault.resolveToken(getSessionToken(req));
+}
+
+// The vaulted cookie behind the caller's session token or API key ('' when missing or expired).
+// This is the primary account: it identifies the caller for ownership checks.
+function getRequestCookie(req) {
+    return getRequestSession(req)?.cookie || '';
+}
+
+// All of the caller's cookies, primary first, for accounts.withAccount rotation
+function getRequestAccounts(req) {
+    return (getRequestSession(req)?.accounts || []).map(acc => acc.cookie);
+}
+
+// Account.refresh on the pooled instance; resolves the account email, throws BAD_INPUT if the cookie is dead.
+// Validating warms the pooled instance, so the first generate reuses its token.
+async function verifyCookie(cookieString) {
+    if (cookieString === 'MOCK') return 'mock@example.com';
+    if (!Whisk) throw createError(ErrorCode.UPSTREAM_UNAVAILABLE, 'Whisk API not available');
+
+    const { whisk } = whiskpool.acquire(cookieString);
+    try {
+        await whisk.account.refresh();
+    } catch (error) {
+        whiskpool.reportError(cookieString, error);
+        if (classify(error) !== ErrorCode.AUTH_EXPIRED) throw error;
+        throw createError(ErrorCode.BAD_INPUT, 'Cookie is invalid or expired. Please get a fresh cookie.');
+    }
+    accounts.markHealthy(cookieString);
+    return whisk.account.userEmail || null;
+}
+
+// Job as returned to clients: never echo the stored cookie or webhook secrets back
+function toPublicJob(job) {
+    const { cookie, accountCookies, cookieHash, webhooks: targets, webhookDeliveries, ...rest } = job;
+    return { ...rest, webhooks: (targets || []).map(w => w.url) };
+}
+
+// Look up a job and make sure it belongs to the caller's cookie
+function findOwnedJob(req, res) {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) {
+        rejectSession(res);
+        return null;
+    }
+
+    const job = queue.getJob(req.params.id);
+    if (!job || job.cookieHash !== queue.hashCookie(cookieString)) {
+        res.status(404).json({ success: false, error: 'Job not found' });
+        return null;
+    }
+    return job;
+}
+
+// ============================================
+// SERVER-SENT EVENTS
+// ============================================
+
+// Connected SSE clients: { res, cookieHash, jobId } (jobId null = all of the owner's jobs)
+const sseClients = new Set();
+
+function writeSseEvent(res, event) {
+    const { id, ...payload } = event;
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${payload.type}\n`);
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    // compression() buffers responses; push each event out immediately
+    if (typeof res.flush === 'function') res.flush();
+}
+
+// Worker progress events (prompt-processing, prompt-completed, job-completed, ...)
+function broadcast(event) {
+    const job = queue.getJob(event.jobId);
+    if (!job) return;
+
+    if (event.type === 'job-completed' && event.error) {
+        log.warn('Job stopped', { jobId: event.jobId, reason: event.error });
+    }
+
+    const id = queue.getEventSeq(event.jobId, event.promptId);
+    for (const client of sseClients) {
+        if (client.cookieHash !== job.cookieHash) continue;
+        if (client.jobId && client.jobId !== job.id) continue;
+        writeSseEvent(client.res, { id, ...event });
+    }
+
+    webhooks.handleEvent(event);
+}
+
+// Open an SSE stream and replay anything after Last-Event-ID from queue state
+function openEventStream(req, res, cookieHash, jobs, jobId) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // disable nginx buffering
+    });
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId, 10);
+    if (lastEventId >= 0) {
+        jobs.flatMap(job => queue.getEventsSince(job, lastEventId))
+            .sort((a, b) => a.id - b.id)
+            .forEach(event => writeSseEvent(res, event));
+    } else if (typeof res.flush === 'function') {
+        res.flush();
+    }
+
+    const client = { res, cookieHash, jobId };
+    sseClients.add(client);
+    untrackRequest(res);
+
+    // Keep idle connections alive through proxies
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+        if (typeof res.flush === 'function') res.flush();
+    }, 25000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        sseClients.delete(client);
+    });
+}
+
 // ============================================
 // API ROUTES
 // ============================================
@@ -199,6 +487,8 @@ app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         whiskAvailable: !!Whisk,
+        queue: queue.getStats(),
+        whiskPool: whiskpool.getStats(),
         memory: {
             heapUsed: `${Math.round(mem.heapUsed / 1024 / 1024)} MB`,
             rss: `${Math.round(mem.rss / 1024 / 1024)} MB`
@@ -207,274 +497,1443 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Effective settings minus secrets (durations in ms, sizes in bytes), so clients can adapt their limits
+function handleConfig(req, res) {
+    res.json({
+        success: true,
+        config: config.toPublic(),
+        limits: {
+            maxCandidates: MAX_CANDIDATES,
+            referenceCategories: REFERENCE_CATEGORIES
+        }
+    });
+}
+
+app.get('/api/config', handleConfig);
+
+// State owned by other modules, read on every scrape
+metrics.gauge('bulkmass_queue_jobs', 'Background jobs by state (queue.getStats)', ['state'], () => {
+    const { active, pending, completed } = queue.getStats();
+    return [
+        { labels: { state: 'active' }, value: active },
+        { labels: { state: 'pending' }, value: pending },
+        { labels: { state: 'completed' }, value: completed }
+    ];
+});
+metrics.gauge('bulkmass_queue_max_concurrent_jobs', 'Jobs the worker runs at once', [], () => queue.getStats().maxConcurrent);
+metrics.gauge('bulkmass_whisk_pool_instances', 'Whisk instances cached by whiskpool', [], () => whiskpool.getStats().instances);
+metrics.gauge('bulkmass_sse_clients', 'Open server-sent event streams', [], () => sseClients.size);
+metrics.gauge('bulkmass_whisk_available', 'Whether the Whisk library loaded (1) or not (0)', [], () => (Whisk ? 1 : 0));
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require it as a bearer token
+app.get('/metrics', (req, res) => {
+    if (config.secrets.metricsToken && !bearerMatches(req, config.secrets.metricsToken)) {
+        return res.status(401).json({ success: false, error: 'Metrics token required' });
+    }
+    res.set('Content-Type', metrics.CONTENT_TYPE).send(metrics.render());
+});
+
 // Validate cookie
-app.post('/api/validate-cookie', async (req, res) => {
+app.post('/api/validate-cookie', limiters.validate, async (req, res) => {
     try {
         const { cookie } = req.body;
         if (!cookie) return res.status(400).json({ valid: false, message: 'Cookie is required' });
 
         if (cookie === 'MOCK') {
-            return res.json({ valid: true, message: 'Mock Mode Active', email: 'mock@example.com' });
+            const session = vault.createSession('MOCK', { email: 'mock@example.com' });
+            return res.json({ valid: true, message: 'Mock Mode Active', email: 'mock@example.com', ...session });
         }
 
         if (!Whisk) {
             return res.status(500).json({ valid: false, message: 'Whisk API not available' });
         }
 
-        const { cookieString } = parseCookies(cookie);
+        const { cookieString, expirationDate } = parseCookies(cookie);
         if (!cookieString) return res.status(400).json({ valid: false, message: 'Invalid cookie format' });
 
         try {
-            const whisk = new Whisk(cookieString);
-            await whisk.account.refresh();
+            const email = await verifyCookie(cookieString);
+            const session = vault.createSession(cookieString, { email, cookieExpiresAt: expirationDate });
 
             res.json({
                 valid: true,
                 message: 'Cookie validated',
-                email: whisk.account.userEmail || null
+                email,
+                token: session.token,
+                expiresAt: session.expiresAt,
+                cookieExpiresAt: expirationDate
             });
         } catch (error) {
-            const isAuth = error.message && (
-                error.message.includes('401') ||
-                error.message.includes('Unauthorized') ||
-                error.message.includes('cookie')
-            );
-
+            // verifyCookie reports a rejected cookie as BAD_INPUT; here the cookie itself is what expired
+            const code = classify(error);
             res.json({
                 valid: false,
-                message: isAuth
-                    ? 'Cookie is invalid or expired. Please get a fresh cookie.'
-                    : error.message
+                message: error.message,
+                code: code === ErrorCode.BAD_INPUT ? ErrorCode.AUTH_EXPIRED : code
             });
         }
     } catch (error) {
-        console.error('[Validate] Error:', error);
+        log.error('Cookie validation failed', { error });
         res.status(500).json({ valid: false, message: error.message });
     }
 });
 
-// Generate a single image (stateless - creates Whisk per request)
-app.post('/api/generate', async (req, res) => {
+// Check a stored session token (page reloads) without touching the cookie
+app.get('/api/session', (req, res) => {
+    const session = vault.resolveToken(getSessionToken(req));
+    if (!session) return res.status(401).json({ valid: false, message: SESSION_ERROR, code: ErrorCode.AUTH_EXPIRED });
+
+    res.json({
+        valid: true,
+        email: session.email,
+        expiresAt: session.expiresAt,
+        cookieExpiresAt: session.cookieExpiresAt
+    });
+});
+
+// Forget the vaulted cookie for this token
+app.delete('/api/session', (req, res) => {
+    const token = getSessionToken(req);
+    if (!token || !vault.revokeToken(token)) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true });
+});
+
+// Generate a single image on a pooled Whisk instance (or the reference session's project)
+async function handleGenerate(req, res) {
     try {
-        const { cookie, prompt, aspectRatio, references } = req.body;
-        if (!cookie) return res.status(400).json({ success: false, error: 'Cookie is required' });
+        const { prompt, aspectRatio, references, model, referenceSessionId } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
         if (!prompt) return res.status(400).json({ success: false, error: 'Prompt is required' });
 
+        let referenceSession = null;
+        if (referenceSessionId) {
+            referenceSession = refsessions.getSession(referenceSessionId, queue.hashCookie(cookieString));
+            if (!referenceSession) {
+                return res.status(410).json({ success: false, error: 'Reference session expired, upload the references again' });
+            }
+        }
+
+        const seed = parseSeed(req.body.seed);
+        if (seed === null) return res.status(400).json({ success: false, error: 'Seed must be an integer between 0 and 2147483647' });
+
+        const models = Object.values(ImageGenerationModel);
+        if (model && models.length > 0 && !models.includes(model)) {
+            return res.status(400).json({ success: false, error: `Unknown image model '${model}'. Available: ${models.join(', ')}` });
+        }
+
+        const referenceError = Array.isArray(references) ? referenceLimitError(references) : null;
+        if (referenceError) return res.status(400).json({ success: false, error: referenceError });
+
+        const rewordRules = parseRewordRules(req.body);
+
         if (!Whisk) {
             return res.status(500).json({ success: false, error: 'Whisk API not available' });
         }
 
         // Mock mode for testing
-        if (cookie === 'MOCK') {
+        if (cookieString === 'MOCK') {
             await new Promise(r => setTimeout(r, 800));
-            // Return a tiny 1x1 transparent PNG as base64
-            const mockBase64 = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+            const outcome = await reword.withRewording(prompt, rewordRules, mockGenerate);
             return res.json({
                 success: true,
-                image: mockBase64,
-                prompt,
-                seed: Math.floor(Math.random() * 999999),
+                image: MOCK_IMAGE,
+                prompt: outcome.prompt,
+                finalPrompt: outcome.prompt,
+                blockedPrompts: outcome.blocked,
+                seed: seed ?? Math.floor(Math.random() * 999999),
                 mediaId: `mock_${Date.now()}`
             });
         }
 
-        const { cookieString } = parseCookies(cookie);
-        if (!cookieString) return res.status(400).json({ success: false, error: 'Invalid cookie format' });
+        try {
+            const generate = (text) => {
+                const input = {
+                    prompt: text,
+                    seed,
+                    model,
+                    aspectRatio: mapAspectRatio(aspectRatio || '1:1')
+                };
 
-        // 60s timeout for Whisk API calls
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 60000);
+                // References already uploaded: reuse the session's project as-is
+                if (referenceSession) return referenceSession.project.generateImageWithReferences(input);
 
-        try {
-            const whisk = new Whisk(cookieString);
-            const project = await whisk.newProject('Bulkmass');
-
-            let hasReferences = false;
-            if (references && Array.isArray(references)) {
-                for (const ref of references) {
-                    if (!ref.image || !ref.category) continue;
-
-                    // Strip the base64 data URI prefix
-                    const cleanBase64 = ref.image.replace(/^data:image\/\w+;base64,/, '');
-                    const customCaption = ref.caption?.trim() || undefined;
-
-                    if (ref.category === 'SUBJECT') {
-                        await project.addSubject(cleanBase64, customCaption);
-                        hasReferences = true;
-                    } else if (ref.category === 'SCENE') {
-                        await project.addScene(cleanBase64, customCaption);
-                        hasReferences = true;
-                    } else if (ref.category === 'STYLE') {
-                        await project.addStyle(cleanBase64, customCaption);
-                        hasReferences = true;
+                // Spread over the session's accounts; a 401/429 moves the prompt to the next one
+                return accounts.withAccount(getRequestAccounts(req), async (accountCookie) => {
+                    if (!Array.isArray(references) || references.length === 0) {
+                        return whiskpool.withProject(accountCookie, ({ project }) => project.generateImage(input));
                     }
-                }
-            }
 
-            let media;
-            if (hasReferences) {
-                media = await project.generateImageWithReferences({
-                    prompt,
-                    aspectRatio: mapAspectRatio(aspectRatio || '1:1')
-                });
-            } else {
-                media = await project.generateImage({
-                    prompt,
-                    aspectRatio: mapAspectRatio(aspectRatio || '1:1')
+                    // Inline references accumulate on the project, so they get a throwaway one
+                    const { whisk } = whiskpool.acquire(accountCookie);
+                    const project = await whisk.newProject('Bulkmass');
+
+                    try {
+                        const added = await addReferences(project, references);
+                        return added.length > 0
+                            ? await project.generateImageWithReferences(input)
+                            : await project.generateImage(input);
+                    } catch (error) {
+                        whiskpool.reportError(accountCookie, error);
+                        throw error;
+                    } finally {
+                        project.delete().catch(() => { });
+                    }
                 });
-            }
-
-            // Fire-and-forget delete project, just like before but we should keep it clean if we created it
-            try { project.delete().catch(() => { }); } catch (e) { }
+            };
 
-            clearTimeout(timeout);
+            const { result: media, prompt: finalPrompt, blocked } = await withTimeout(
+                reword.withRewording(prompt, rewordRules, generate),
+                config.timeouts.generate,
+                `Generation timed out (${config.timeouts.generate / 1000}s)`
+            );
 
             res.json({
                 success: true,
                 image: media.encodedMedia,
                 prompt: media.prompt,
+                finalPrompt,
+                blockedPrompts: blocked,
                 seed: media.seed,
                 mediaId: media.mediaGenerationId
             });
         } catch (innerError) {
-            clearTimeout(timeout);
-            if (innerError.name === 'AbortError') {
-                throw new Error('Generation timed out (60s)');
-            }
+            if (referenceSession) whiskpool.reportError(cookieString, innerError);
             throw innerError;
         }
     } catch (error) {
-        console.error('[Generate] Error:', error.message);
-        const status = error.message?.includes('401') ? 401 : 500;
-        res.status(status).json({ success: false, error: error.message });
+        log.error('Generate failed', { error });
+        sendError(res, error);
     }
-});
+}
 
-// Animate a single image to video
-app.post('/api/animate', async (req, res) => {
+app.post('/api/generate', limiters.generate, handleGenerate);
+
+// Generate up to 8 candidates for one prompt in a single ImageFX call (no project, no references)
+async function handleCandidates(req, res) {
     try {
-        const { cookie, imageBase64, imagePrompt, videoScript } = req.body;
-        if (!cookie) return res.status(400).json({ success: false, error: 'Cookie is required' });
-        if (!imageBase64) return res.status(400).json({ success: false, error: 'Image data is required' });
-        if (!videoScript?.trim()) return res.status(400).json({ success: false, error: 'Video script is required' });
+        const { prompt, aspectRatio, model } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
+        if (!prompt) return res.status(400).json({ success: false, error: 'Prompt is required' });
 
-        if (!Whisk || !MediaClass) {
+        const count = parseInt(req.body.count, 10) || 1;
+        if (count < 1 || count > MAX_CANDIDATES) {
+            return res.status(400).json({ success: false, error: `Count must be between 1 and ${MAX_CANDIDATES}` });
+        }
+
+        const seed = parseSeed(req.body.seed);
+        if (seed === null) return res.status(400).json({ success: false, error: 'Seed must be an integer between 0 and 2147483647' });
+
+        const rewordRules = parseRewordRules(req.body);
+
+        if (!Whisk) {
             return res.status(500).json({ success: false, error: 'Whisk API not available' });
         }
 
-        const { cookieString } = parseCookies(cookie);
-        if (!cookieString) return res.status(400).json({ success: false, error: 'Invalid cookie format' });
+        if (cookieString === 'MOCK') {
+            await new Promise(r => setTimeout(r, 800));
+            const outcome = await reword.withRewording(prompt, rewordRules, mockGenerate);
+            return res.json({
+                success: true,
+                prompt: outcome.prompt,
+                finalPrompt: outcome.prompt,
+                blockedPrompts: outcome.blocked,
+                images: Array.from({ length: count }, (_, i) => ({
+                    image: MOCK_IMAGE,
+                    seed: seed ?? Math.floor(Math.random() * 999999),
+                    mediaId: `mock_${Date.now()}_${i}`
+                }))
+            });
+        }
 
-        // Strip data URI prefix to get raw base64
-        const rawBytes = imageBase64.replace(/^data:image\/\w+;base64,/, '');
+        const models = Object.values(ImageGenerationModel);
+        if (model && models.length > 0 && !models.includes(model)) {
+            return res.status(400).json({ success: false, error: `Unknown image model '${model}'. Available: ${models.join(', ')}` });
+        }
 
-        const videoModel = 'VEO_3_1_I2V_12STEP';
+        const generate = (text) => accounts.withAccount(getRequestAccounts(req), (accountCookie) => {
+            const { whisk } = whiskpool.acquire(accountCookie);
+            return withTimeout(
+                whisk.generateImage({
+                    prompt: text,
+                    seed,
+                    model,
+                    aspectRatio: mapAspectRatio(aspectRatio || '1:1')
+                }, count),
+                config.timeouts.generate,
+                `Generation timed out (${config.timeouts.generate / 1000}s)`
+            ).catch(error => {
+                whiskpool.reportError(accountCookie, error);
+                throw error;
+            });
+        });
 
-        // 200s timeout — video generation polls up to 3 min (60 × 3s)
-        const timeout = setTimeout(() => {
-            if (!res.headersSent) {
-                res.status(504).json({ success: false, error: 'Animation timed out (200s)' });
-            }
-        }, 200000);
+        const { result: media, prompt: finalPrompt, blocked } = await reword.withRewording(prompt, rewordRules, generate);
+
+        res.json({
+            success: true,
+            prompt: finalPrompt,
+            finalPrompt,
+            blockedPrompts: blocked,
+            images: media.map(m => ({
+                image: m.encodedMedia,
+                seed: m.seed,
+                mediaId: m.mediaGenerationId
+            }))
+        });
+    } catch (error) {
+        log.error('Candidates failed', { error });
+        sendError(res, error);
+    }
+}
 
-        try {
-            const whisk = new Whisk(cookieString);
-            const project = await whisk.newProject('Bulkmass-Video');
+app.post('/api/generate/candidates', limiters.candidates, handleCandidates);
+
+// Refine (edit) an existing image with a text instruction (GEM_PIX edit)
+app.post('/api/refine', limiters.refine, async (req, res) => {
+    try {
+        const { imageBase64, prompt, edit, aspectRatio, mediaId } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
+        if (!imageBase64) return res.status(400).json({ success: false, error: 'Image data is required' });
+        if (!edit?.trim()) return res.status(400).json({ success: false, error: 'Edit instruction is required' });
+
+        if (!Whisk || !MediaClass) {
+            return res.status(500).json({ success: false, error: 'Whisk API not available' });
+        }
 
+        if (cookieString === 'MOCK') {
+            await new Promise(r => setTimeout(r, 800));
+            return res.json({
+                success: true,
+                image: imageBase64,
+                prompt: `${prompt || ''} (${edit.trim()})`.trim(),
+                mediaId: mediaId || `mock_${Date.now()}`
+            });
+        }
+
+        const rawBytes = imageBase64.replace(/^data:image\/\w+;base64,/, '');
+
+        const refined = await accounts.withAccount(getRequestAccounts(req), accountCookie => whiskpool.withProject(accountCookie, ({ whisk, project }) => {
             const media = new MediaClass({
                 seed: 0,
-                prompt: imagePrompt || 'image',
+                prompt: prompt || 'image',
                 workflowId: project.projectId,
                 encodedMedia: rawBytes,
-                mediaGenerationId: 'tmp_' + Date.now(),
-                aspectRatio: 'IMAGE_ASPECT_RATIO_LANDSCAPE',
+                mediaGenerationId: mediaId || 'tmp_' + Date.now(),
+                aspectRatio: mapAspectRatio(aspectRatio || '1:1'),
                 mediaType: 'IMAGE',
                 model: 'IMAGEN_3_5',
                 account: whisk.account
             });
 
-            const videoMedia = await media.animate(videoScript, videoModel);
+            return withTimeout(media.refine(edit.trim()), config.timeouts.refine, `Refinement timed out (${config.timeouts.refine / 1000}s)`);
+        }));
 
-            clearTimeout(timeout);
+        res.json({
+            success: true,
+            image: refined.encodedMedia,
+            prompt: refined.prompt,
+            mediaId: refined.mediaGenerationId
+        });
+    } catch (error) {
+        log.error('Refine failed', { error });
+        sendError(res, error);
+    }
+});
 
-            if (res.headersSent) return;
+// Caption an image into prompt text (reverse prompt), up to 8 alternatives
+async function handleCaption(req, res) {
+    try {
+        const { imageBase64 } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
+        if (!imageBase64) return res.status(400).json({ success: false, error: 'Image data is required' });
 
-            res.json({
+        const count = parseInt(req.body.count, 10) || 1;
+        if (count < 1 || count > MAX_CANDIDATES) {
+            return res.status(400).json({ success: false, error: `Count must be between 1 and ${MAX_CANDIDATES}` });
+        }
+
+        // Reference captions are worded per category; plain reverse-prompting uses SUBJECT
+        const category = req.body.category || 'SUBJECT';
+        if (!REFERENCE_CATEGORIES.includes(category)) {
+            return res.status(400).json({ success: false, error: `Category must be one of ${REFERENCE_CATEGORIES.join(', ')}` });
+        }
+
+        if (!Whisk) {
+            return res.status(500).json({ success: false, error: 'Whisk API not available' });
+        }
+
+        if (cookieString === 'MOCK') {
+            await new Promise(r => setTimeout(r, 500));
+            return res.json({
                 success: true,
-                video: videoMedia.encodedMedia,
-                prompt: videoMedia.prompt,
-                mediaId: videoMedia.mediaGenerationId
+                captions: Array.from({ length: count }, (_, i) => `Mock caption ${i + 1} describing the uploaded image`)
             });
+        }
 
-            try { project.delete().catch(() => {}); } catch (_) {}
-        } catch (innerError) {
-            clearTimeout(timeout);
-            if (res.headersSent) return;
-            throw innerError;
+        const rawBytes = imageBase64.replace(/^data:image\/\w+;base64,/, '');
+        const captions = await accounts.withAccount(getRequestAccounts(req), (accountCookie) => {
+            const { whisk } = whiskpool.acquire(accountCookie);
+            return withTimeout(
+                Whisk.generateCaption(rawBytes, whisk.account, count, `MEDIA_CATEGORY_${category}`),
+                config.timeouts.generate,
+                `Captioning timed out (${config.timeouts.generate / 1000}s)`
+            ).catch(error => {
+                whiskpool.reportError(accountCookie, error);
+                throw error;
+            });
+        });
+
+        res.json({ success: true, captions });
+    } catch (error) {
+        log.error('Caption failed', { error });
+        sendError(res, error);
+    }
+}
+
+app.post('/api/caption', limiters.caption, handleCaption);
+
+// ============================================
+// ACCOUNTS (rotation pool)
+// ============================================
+
+// The session's accounts with their success/error counts and rotation status
+app.get('/api/accounts', (req, res) => {
+    const session = vault.resolveToken(getSessionToken(req));
+    if (!session) return rejectSession(res);
+
+    res.json({ success: true, accounts: accounts.describe(session.accounts) });
+});
+
+// Add another cookie to the rotation; validated with Account.refresh like the first one
+app.post('/api/accounts', limiters.accounts, async (req, res) => {
+    try {
+        const token = getSessionToken(req);
+        const session = vault.resolveToken(token);
+        if (!session) return rejectSession(res);
+
+        const { cookie } = req.body;
+        if (!cookie) return res.status(400).json({ success: false, error: 'Cookie is required' });
+
+        if (!Whisk) return res.status(500).json({ success: false, error: 'Whisk API not available' });
+
+        const { cookieString, expirationDate } = parseCookies(cookie);
+        if (!cookieString) return res.status(400).json({ success: false, error: 'Invalid cookie format' });
+
+        const hash = queue.hashCookie(cookieString);
+        if (session.accounts.some(acc => queue.hashCookie(acc.cookie) === hash)) {
+            return res.status(409).json({ success: false, error: 'This cookie is already in the rotation' });
         }
+
+        const email = await verifyCookie(cookieString);
+        vault.addAccount(token, cookieString, { email, cookieExpiresAt: expirationDate });
+        log.info('Added account', { accounts: session.accounts.length + 1 });
+
+        res.status(201).json({ success: true, accounts: accounts.describe(vault.resolveToken(token).accounts) });
     } catch (error) {
-        console.error('[Animate] Error:', error.message);
-        const status = error.message?.includes('401') ? 401 : 500;
-        if (!res.headersSent) res.status(status).json({ success: false, error: error.message });
+        log.error('Adding account failed', { error });
+        sendError(res, error);
     }
 });
 
-// Upload prompts file
-app.post('/api/upload-prompts', upload.single('file'), (req, res) => {
+app.delete('/api/accounts/:id', (req, res) => {
+    const token = getSessionToken(req);
+    if (!vault.resolveToken(token)) return rejectSession(res);
+
+    if (!vault.removeAccount(token, req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Account not found (the primary account cannot be removed)' });
+    }
+    res.json({ success: true, accounts: accounts.describe(vault.resolveToken(token).accounts) });
+});
+
+// ============================================
+// REFERENCE SESSIONS
+// ============================================
+
+// Upload references once; /api/generate then takes { referenceSessionId } instead of images
+app.post('/api/references', limiters.references, async (req, res) => {
     try {
-        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const { references } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
+
+        const valid = Array.isArray(references)
+            ? references.filter(ref => ref?.image && REFERENCE_CATEGORIES.includes(ref.category))
+            : [];
+        if (valid.length === 0) return res.status(400).json({ success: false, error: 'At least one reference image is required' });
+        const referenceError = referenceLimitError(valid);
+        if (referenceError) return res.status(400).json({ success: false, error: referenceError });
+
+        const cookieHash = queue.hashCookie(cookieString);
+
+        if (cookieString === 'MOCK') {
+            const session = refsessions.createSession({
+                cookieHash,
+                project: null,
+                references: valid.map(ref => ({ category: ref.category, caption: ref.caption?.trim() || 'mock caption' }))
+            });
+            return res.status(201).json({ success: true, session: refsessions.toPublicSession(session) });
+        }
 
-        const content = fs.readFileSync(req.file.path, 'utf8');
-        let prompts = [];
-        const name = req.file.originalname.toLowerCase();
-
-        if (name.endsWith('.json')) {
-            try {
-                const data = JSON.parse(content);
-                if (Array.isArray(data)) {
-                    prompts = data.map(item =>
-                        typeof item === 'string' ? item : (item.prompt || item.text || '')
-                    ).filter(Boolean);
-                } else if (data.prompts && Array.isArray(data.prompts)) {
-                    prompts = data.prompts;
-                }
-            } catch {
-                prompts = content.split('\n').map(l => l.trim()).filter(Boolean);
-            }
-        } else if (name.endsWith('.csv')) {
-            const lines = content.split('\n').filter(l => l.trim());
-            const startIdx = lines[0]?.toLowerCase().includes('prompt') ? 1 : 0;
-            prompts = lines.slice(startIdx).map(line => {
-                return line.split(',')[0].replace(/^["']|["']$/g, '').trim();
-            }).filter(Boolean);
-        } else {
-            prompts = content.split('\n')
-                .map(l => l.trim())
-                .filter(l => l && !l.startsWith('#'));
+        if (!Whisk) return res.status(500).json({ success: false, error: 'Whisk API not available' });
+
+        // The session owns this project (deleted with the session), so it is not leased from the pool
+        const { whisk } = whiskpool.acquire(cookieString);
+        const project = await whisk.newProject('Bulkmass-Refs');
+
+        let added;
+        try {
+            added = await addReferences(project, valid);
+        } catch (error) {
+            project.delete().catch(() => {});
+            throw error;
+        }
+
+        const session = refsessions.createSession({ cookieHash, project, references: added });
+        log.info('Reference session created', { sessionId: session.id, references: added.length });
+
+        res.status(201).json({ success: true, session: refsessions.toPublicSession(session) });
+    } catch (error) {
+        log.error('Reference upload failed', { error });
+        sendError(res, error);
+    }
+});
+
+app.get('/api/references/:id', (req, res) => {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) return rejectSession(res);
+
+    const session = refsessions.getSession(req.params.id, queue.hashCookie(cookieString));
+    if (!session) return res.status(410).json({ success: false, error: 'Reference session expired' });
+
+    res.json({ success: true, session: refsessions.toPublicSession(session) });
+});
+
+app.delete('/api/references/:id', (req, res) => {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) return rejectSession(res);
+
+    if (!refsessions.getSession(req.params.id, queue.hashCookie(cookieString))) {
+        return res.status(404).json({ success: false, error: 'Reference session not found' });
+    }
+
+    refsessions.deleteSession(req.params.id);
+    res.json({ success: true });
+});
+
+// ============================================
+// ANIMATION OPERATIONS
+// ============================================
+
+// Operation as returned to clients
+function toPublicOperation(op) {
+    return {
+        id: op.id,
+        status: op.status,
+        createdAt: op.createdAt,
+        completedAt: op.completedAt,
+        error: op.error,
+        code: op.errorCode || null,
+        prompt: op.meta?.imagePrompt || null,
+        videoScript: op.meta?.videoScript || null,
+        videoModel: op.meta?.videoModel || null,
+        loop: !!op.meta?.loop,
+        videoUrl: op.result?.file ? `/output/${op.result.file}` : null,
+        mediaId: op.result?.mediaId || null
+    };
+}
+
+function findOwnedOperation(req, res) {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) {
+        rejectSession(res);
+        return null;
+    }
+
+    const op = operations.getOperation(req.params.id);
+    if (!op || op.cookieHash !== queue.hashCookie(cookieString)) {
+        res.status(404).json({ success: false, error: 'Operation not found' });
+        return null;
+    }
+    return op;
+}
+
+// Submit: responds 202 with an operation id; video polling continues in the background
+function handleAnimate(req, res) {
+    try {
+        const { imageBase64, imagePrompt, videoScript } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
+        if (!imageBase64) return res.status(400).json({ success: false, error: 'Image data is required' });
+        if (!videoScript?.trim()) return res.status(400).json({ success: false, error: 'Video script is required' });
+
+        const videoModel = resolveVideoModel(req.body.model);
+        if (!videoModel) {
+            const available = Object.keys(VideoGenerationModel).join(', ');
+            return res.status(400).json({ success: false, error: `Unknown video model '${req.body.model}'. Available: ${available}` });
         }
+        const loop = req.body.loop === true;
+
+        if ((!Whisk || !MediaClass) && cookieString !== 'MOCK') {
+            return res.status(500).json({ success: false, error: 'Whisk API not available' });
+        }
+
+        // Strip data URI prefix to get raw base64
+        const rawBytes = imageBase64.replace(/^data:image\/\w+;base64,/, '');
+
+        const op = operations.createOperation({
+            cookieHash: queue.hashCookie(cookieString),
+            kind: 'animate',
+            meta: { imagePrompt: imagePrompt || null, videoScript, videoModel, loop }
+        });
+
+        const cookies = getRequestAccounts(req);
+        operations.run(op, () => animateToFile(cookies, rawBytes, imagePrompt, videoScript, { videoModel, loop }));
+        log.info('Animation started', { operationId: op.id, videoModel, loop: !!loop });
+
+        res.status(202).json({ success: true, operationId: op.id, operation: toPublicOperation(op) });
+    } catch (error) {
+        log.error('Animate failed', { error });
+        sendError(res, error);
+    }
+}
+
+app.post('/api/animate', limiters.animate, handleAnimate);
+
+// Accepts a VideoGenerationModel key (VEO_FAST_3_1) or its value; null if unknown
+function resolveVideoModel(model) {
+    if (!model) return VideoGenerationModel.VEO_3_1 || 'VEO_3_1_I2V_12STEP';
+    if (Object.keys(VideoGenerationModel).length === 0) return model;
+    if (VideoGenerationModel[model]) return VideoGenerationModel[model];
+    return Object.values(VideoGenerationModel).includes(model) ? model : null;
+}
+
+// Generate the clip and store it in output/ for later retrieval
+async function animateToFile(cookies, rawBytes, imagePrompt, videoScript, { videoModel, loop }) {
+    if (cookies[0] === 'MOCK') {
+        await new Promise(r => setTimeout(r, 2000));
+        const file = `mock_${Date.now()}_${Math.random().toString(36).substr(2, 6)}.mp4`;
+        fs.writeFileSync(path.join(OUTPUT_DIR, file), 'MOCK');
+        return { file, mediaId: `mock_${Date.now()}` };
+    }
+
+    return accounts.withAccount(cookies, accountCookie => whiskpool.withProject(accountCookie, async ({ whisk, project }) => {
+        const media = new MediaClass({
+            seed: 0,
+            prompt: imagePrompt || 'image',
+            workflowId: project.projectId,
+            encodedMedia: rawBytes,
+            mediaGenerationId: 'tmp_' + Date.now(),
+            aspectRatio: 'IMAGE_ASPECT_RATIO_LANDSCAPE',
+            mediaType: 'IMAGE',
+            model: 'IMAGEN_3_5',
+            account: whisk.account
+        });
+
+        // Media.animate polls up to 3 min (60 × 3s); guard against a hung request
+        const started = Date.now();
+        let videoMedia;
+        try {
+            videoMedia = await withTimeout(
+                media.animate(videoScript, videoModel, loop),
+                config.timeouts.animate,
+                `Animation timed out (${config.timeouts.animate / 1000}s)`
+            );
+            metrics.observeAnimation('completed', Date.now() - started);
+        } catch (error) {
+            metrics.observeAnimation(classify(error), Date.now() - started);
+            throw error;
+        }
+
+        if (!videoMedia.encodedMedia) throw new Error('Video response contained no data');
+
+        const savedPath = videoMedia.save(OUTPUT_DIR);
+        return { file: path.basename(savedPath), mediaId: videoMedia.mediaGenerationId };
+    }));
+}
+
+// The caller's animation operations (finished results survive closed tabs)
+function handleListAnimations(req, res) {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) return rejectSession(res);
+
+    const ops = operations.getOperationsByOwner(queue.hashCookie(cookieString)).map(toPublicOperation);
+    res.json({ success: true, operations: ops });
+}
+
+app.get('/api/animate', handleListAnimations);
+
+// Poll a single operation
+function handleGetAnimation(req, res) {
+    const op = findOwnedOperation(req, res);
+    if (!op) return;
+    res.json({ success: true, operation: toPublicOperation(op) });
+}
+
+app.get('/api/animate/:id', handleGetAnimation);
 
+// Subscribe to a single operation (one event when it finishes)
+function handleAnimationEvents(req, res) {
+    const op = findOwnedOperation(req, res);
+    if (!op) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (current) => {
+        writeSseEvent(res, { type: `operation-${current.status}`, operation: toPublicOperation(current) });
+        if (current.status !== operations.Status.RUNNING) res.end();
+    };
+
+    send(op);
+    if (op.status !== operations.Status.RUNNING) return;
+    untrackRequest(res);    // ends with the operation, which the shutdown drains itself
+
+    const onUpdate = (updated) => { if (updated.id === op.id) send(updated); };
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+        if (typeof res.flush === 'function') res.flush();
+    }, 25000);
+
+    operations.events.on('update', onUpdate);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        operations.events.off('update', onUpdate);
+    });
+}
+
+app.get('/api/animate/:id/events', handleAnimationEvents);
+
+// Parse a prompts file; bad rows come back in errors (with their line) next to the prompts that parsed
+function handleUploadPrompts(req, res) {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        const content = fs.readFileSync(req.file.path, 'utf8');
         try { fs.unlinkSync(req.file.path); } catch { }
 
-        res.json({ success: true, prompts, count: prompts.length });
+        const { format, items, errors } = promptfiles.parse(content, { name: req.file.originalname, maxCount: MAX_CANDIDATES });
+        if (items.length === 0 && errors.length > 0) {
+            return res.status(400).json({ success: false, error: `No valid prompts: ${errors.length} row${errors.length !== 1 ? 's have' : ' has'} errors`, format, errors });
+        }
+
+        res.json({ success: true, format, prompts: items.map(item => item.prompt), items, errors, count: items.length });
     } catch (error) {
         if (req.file?.path) {
             try { fs.unlinkSync(req.file.path); } catch { }
         }
         res.status(500).json({ error: error.message });
     }
+}
+
+app.post('/api/upload-prompts', uploadFile, handleUploadPrompts);
+
+// ============================================
+// BACKGROUND JOBS
+// ============================================
+
+// Submit a batch to the server-side worker
+function handleCreateJob(req, res) {
+    try {
+        const { prompts, aspectRatio } = req.body;
+        const cookieString = getRequestCookie(req);
+        if (!cookieString) return rejectSession(res);
+
+        if (!Array.isArray(prompts)) {
+            return res.status(400).json({ success: false, error: 'Prompts must be an array' });
+        }
+
+        // Strings, or { text, aspectRatio, seed, cue } to override the job's aspect ratio for one prompt
+        const entries = [];
+        for (const p of prompts) {
+            const text = (typeof p === 'string' ? p : p?.text || p?.prompt || '').trim();
+            if (!text) continue;
+
+            const seed = parseSeed(p?.seed);
+            if (seed === null) return res.status(400).json({ success: false, error: 'Seed must be an integer between 0 and 2147483647' });
+            if (p?.aspectRatio && !promptfiles.ASPECT_RATIOS.includes(p.aspectRatio)) {
+                return res.status(400).json({ success: false, error: `Aspect ratio must be one of ${promptfiles.ASPECT_RATIOS.join(', ')}` });
+            }
+            if (p?.cue && !promptfiles.isCue(p.cue)) {
+                return res.status(400).json({ success: false, error: 'Cue must be { start, end } as HH:MM:SS.mmm' });
+            }
+            entries.push({ text, aspectRatio: p?.aspectRatio || null, seed, cue: p?.cue ? { start: p.cue.start, end: p.cue.end } : null });
+        }
+        if (entries.length === 0) return res.status(400).json({ success: false, error: 'At least one prompt is required' });
+
+        let targets;
+        try {
+            parseRewordRules(req.body);
+            targets = webhooks.parseWebhooks(req.body.webhooks);
+        } catch (error) {
+            return sendError(res, error);
+        }
+
+        if (!Whisk && cookieString !== 'MOCK') {
+            return res.status(500).json({ success: false, error: 'Whisk API not available' });
+        }
+
+        const job = queue.createJob({
+            cookie: cookieString,
+            accountCookies: getRequestAccounts(req),
+            prompts: entries,
+            aspectRatio,
+            rewordRules: req.body.reword ? (req.body.rewordRules || reword.DEFAULT_RULES) : null,
+            webhooks: targets,
+            requestId: req.id
+        });
+        log.info('Job created', { jobId: job.id, totalCount: job.totalCount, webhooks: targets.length });
+
+        // The only response that carries the signing secrets
+        res.status(201).json({ success: true, job: toPublicJob(job), webhooks: targets });
+    } catch (error) {
+        log.error('Job creation failed', { error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.post('/api/jobs', limiters.jobs, handleCreateJob);
+
+// List the caller's jobs (prompts omitted to keep the payload small)
+function handleListJobs(req, res) {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) return rejectSession(res);
+
+    const jobs = queue.getJobsByOwner(queue.hashCookie(cookieString))
+        .map(job => {
+            const { prompts, ...summary } = toPublicJob(job);
+            return summary;
+        });
+
+    res.json({ success: true, jobs, stats: queue.getStats() });
+}
+
+app.get('/api/jobs', handleListJobs);
+
+// Single job with per-prompt status
+function handleGetJob(req, res) {
+    const job = findOwnedJob(req, res);
+    if (!job) return;
+    res.json({ success: true, job: toPublicJob(job) });
+}
+
+app.get('/api/jobs/:id', handleGetJob);
+
+// Prompts the safety filter refused, whether or not a reworded version got through
+function handleBlockedPrompts(req, res) {
+    const job = findOwnedJob(req, res);
+    if (!job) return;
+
+    const blocked = job.prompts
+        .filter(p => p.blockedPrompts?.length || p.errorCode === ErrorCode.SAFETY_BLOCKED)
+        .map(p => ({
+            promptId: p.id,
+            text: p.text,
+            status: p.status,
+            finalText: p.status === 'completed' ? p.finalText || p.text : null,
+            blockedPrompts: p.blockedPrompts || [p.text]
+        }));
+
+    res.json({ success: true, blocked });
+}
+
+app.get('/api/jobs/:id/blocked', handleBlockedPrompts);
+
+// Webhook URLs of a job and every delivery attempt made to them
+function handleJobWebhooks(req, res) {
+    const job = findOwnedJob(req, res);
+    if (!job) return;
+    res.json({ success: true, webhooks: (job.webhooks || []).map(w => w.url), deliveries: webhooks.getDeliveries(job) });
+}
+
+app.get('/api/jobs/:id/webhooks', handleJobWebhooks);
+
+// Live progress for one job
+function handleJobEvents(req, res) {
+    const job = findOwnedJob(req, res);
+    if (!job) return;
+    openEventStream(req, res, job.cookieHash, [job], job.id);
+}
+
+app.get('/api/jobs/:id/events', handleJobEvents);
+
+// Live progress for all of the caller's jobs
+app.get('/api/events', (req, res) => {
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) return rejectSession(res);
+
+    const cookieHash = queue.hashCookie(cookieString);
+    openEventStream(req, res, cookieHash, queue.getJobsByOwner(cookieHash), null);
 });
 
+// Cancel a pending or running job (the worker stops before its next prompt)
+function handleCancelJob(req, res) {
+    const job = findOwnedJob(req, res);
+    if (!job) return;
+
+    if (job.status !== queue.Status.PENDING && job.status !== queue.Status.PROCESSING) {
+        return res.status(409).json({ success: false, error: `Job is already ${job.status}` });
+    }
+
+    const updated = queue.cancelJob(job.id);
+    broadcast({ type: 'job-cancelled', jobId: job.id });
+    res.json({ success: true, job: toPublicJob(updated) });
+}
+
+app.post('/api/jobs/:id/cancel', handleCancelJob);
+
+// ============================================
+// WORKER OUTPUT FILES
+// ============================================
+
+// Images written by the worker and clips from animation operations.
+// Only the owning cookie may fetch them.
+// sendFile handles Range (mp4 seeking), ETag/Last-Modified and Content-Type.
+function handleOutputFile(req, res) {
+    const file = path.basename(req.params.file);
+    if (file !== req.params.file || file.startsWith('.')) {
+        return res.status(400).json({ success: false, error: 'Invalid file name' });
+    }
+
+    const cookieString = getRequestCookie(req);
+    if (!cookieString) return rejectSession(res);
+
+    const owner = queue.findJobByOutput(file) || operations.findByOutput(file);
+    if (!owner || owner.cookieHash !== queue.hashCookie(cookieString)) {
+        return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    res.sendFile(path.join(OUTPUT_DIR, file), {
+        acceptRanges: true,
+        lastModified: true,
+        cacheControl: false,
+        headers: {
+            // File names are unique per generation, so the content never changes
+            'Cache-Control': 'private, max-age=604800, immutable',
+            'Vary': 'Authorization'
+        }
+    }, (err) => {
+        if (err) {
+            if (!res.headersSent) res.status(err.status || 404).json({ success: false, error: 'File not found' });
+            return;
+        }
+        // A full download of an operation's result counts as fetched (starts its cleanup clock)
+        if (owner.kind && res.statusCode === 200) operations.markFetched(owner.id);
+    });
+}
+
+app.get('/output/:file', acceptApiKey, handleOutputFile);
+
+// ============================================
+// PUBLIC API v1
+// ============================================
+
+/**
+ * /api/v1 serves the same handlers as the UI routes, for scripts holding an
+ * API key instead of a browser session. Every route is registered through
+ * v1Route together with its definition, and /api/v1/openapi.json is built from
+ * those definitions. Keys are created and revoked under /api/v1/admin with the
+ * server's ADMIN_TOKEN.
+ */
+
+const v1 = express.Router();
+const v1Routes = [];
+
+function v1Route(definition, ...handlers) {
+    v1Routes.push(definition);
+    v1[definition.method](definition.path, ...handlers);
+}
+
+// Resolve "Authorization: Bearer bmk_..." into req.apiKey; 401 for a revoked or unknown key
+function acceptApiKey(req, res, next) {
+    const token = getSessionToken(req);
+    if (!apikeys.isApiKey(token)) return next();
+
+    req.apiKey = apikeys.resolveKey(token);
+    if (!req.apiKey) return sendError(res, createError(ErrorCode.AUTH_EXPIRED, 'API key is invalid or revoked'));
+    next();
+}
+
+function requireApiKey(req, res, next) {
+    acceptApiKey(req, res, () => {
+        if (!req.apiKey) return sendError(res, createError(ErrorCode.AUTH_EXPIRED, 'An API key is required: Authorization: Bearer bmk_...'));
+        next();
+    });
+}
+
+// Append method, route, status and duration to the key's usage log once the response is sent
+function logApiKeyUsage(route) {
+    return (req, res, next) => {
+        const started = Date.now();
+        res.on('finish', () => {
+            apikeys.recordUsage(req.apiKey.keyId, {
+                method: req.method,
+                path: route,
+                status: res.statusCode,
+                durationMs: Date.now() - started,
+                ip: req.ip
+            });
+        });
+        next();
+    };
+}
+
+function requireAdmin(req, res, next) {
+    const expected = config.secrets.adminToken;
+    if (!expected) {
+        return res.status(503).json({ success: false, error: 'API key management is disabled: set ADMIN_TOKEN on the server' });
+    }
+
+    if (!bearerMatches(req, expected)) {
+        return sendError(res, createError(ErrorCode.AUTH_EXPIRED, 'Admin token required'));
+    }
+    next();
+}
+
+// Key-authenticated route: key check, usage log, then the route's own middleware
+function v1KeyRoute(definition, ...handlers) {
+    v1Route({ auth: 'key', ...definition }, requireApiKey, logApiKeyUsage(definition.path), ...handlers);
+}
+
+const promptSchema = { type: 'string', description: 'Prompt text' };
+const rewordSchema = {
+    reword: { type: 'boolean', description: 'Retry prompts the safety filter blocks with softer wording' },
+    rewordRules: { type: 'string', description: 'One "find => replace" rule per line; defaults to the built-in rules' }
+};
+const aspectRatioSchema = { type: 'string', enum: ['1:1', '16:9', '9:16'] };
+const seedSchema = { type: 'integer', minimum: 0, maximum: 2147483647 };
+const cueSchema = { type: 'object', description: 'Subtitle cue the prompt came from', properties: { start: { type: 'string', example: '00:00:01.000' }, end: { type: 'string' } } };
+const imageSchema = { type: 'string', description: 'Base64 image, with or without a data: URI prefix' };
+const jobSchema = { type: 'object', description: 'Job with per-prompt status; image URLs are fetched with the same API key' };
+const operationSchema = { type: 'object', description: 'Animation operation; videoUrl is set once completed' };
+
+v1KeyRoute({
+    method: 'post', path: '/generate', tag: 'Images', operationId: 'generateImage', upstream: true, limited: true,
+    summary: 'Generate one image',
+    body: {
+        type: 'object',
+        required: ['prompt'],
+        properties: {
+            prompt: promptSchema,
+            aspectRatio: aspectRatioSchema,
+            seed: seedSchema,
+            model: { type: 'string' },
+            references: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['category', 'image'],
+                    properties: { category: { type: 'string', enum: REFERENCE_CATEGORIES }, image: imageSchema, caption: { type: 'string' } }
+                }
+            },
+            ...rewordSchema
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            image: { type: 'string', description: 'Base64 PNG' },
+            finalPrompt: { type: 'string' },
+            blockedPrompts: { type: 'array', items: { type: 'string' } },
+            seed: { type: 'integer' },
+            mediaId: { type: 'string' }
+        }
+    }
+}, limiters.generate, handleGenerate);
+
+v1KeyRoute({
+    method: 'post', path: '/generate/candidates', tag: 'Images', operationId: 'generateCandidates', upstream: true, limited: true,
+    summary: `Generate up to ${MAX_CANDIDATES} images for one prompt in a single call`,
+    body: {
+        type: 'object',
+        required: ['prompt'],
+        properties: {
+            prompt: promptSchema,
+            count: { type: 'integer', minimum: 1, maximum: MAX_CANDIDATES },
+            aspectRatio: aspectRatioSchema,
+            seed: seedSchema,
+            model: { type: 'string' },
+            ...rewordSchema
+        }
+    }
+}, limiters.candidates, handleCandidates);
+
+v1KeyRoute({
+    method: 'post', path: '/caption', tag: 'Images', operationId: 'captionImage', upstream: true, limited: true,
+    summary: 'Describe an image as prompt text',
+    body: {
+        type: 'object',
+        required: ['imageBase64'],
+        properties: {
+            imageBase64: imageSchema,
+            count: { type: 'integer', minimum: 1, maximum: MAX_CANDIDATES },
+            category: { type: 'string', enum: REFERENCE_CATEGORIES }
+        }
+    },
+    response: { type: 'object', properties: { success: { type: 'boolean' }, captions: { type: 'array', items: { type: 'string' } } } }
+}, limiters.caption, handleCaption);
+
+v1KeyRoute({
+    method: 'post', path: '/animate', tag: 'Animation', operationId: 'startAnimation', limited: true, status: 202,
+    summary: 'Start animating a landscape image; poll the returned operation',
+    body: {
+        type: 'object',
+        required: ['imageBase64', 'videoScript'],
+        properties: {
+            imageBase64: imageSchema,
+            videoScript: { type: 'string', description: 'Motion prompt' },
+            imagePrompt: { type: 'string' },
+            model: { type: 'string', description: 'VideoGenerationModel key or value' },
+            loop: { type: 'boolean' }
+        }
+    },
+    response: { type: 'object', properties: { success: { type: 'boolean' }, operationId: { type: 'string' }, operation: operationSchema } }
+}, limiters.animate, handleAnimate);
+
+v1KeyRoute({
+    method: 'get', path: '/animate', tag: 'Animation', operationId: 'listAnimations',
+    summary: 'List animation operations',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, operations: { type: 'array', items: operationSchema } } }
+}, handleListAnimations);
+
+v1KeyRoute({
+    method: 'get', path: '/animate/:id', tag: 'Animation', operationId: 'getAnimation',
+    summary: 'Get one animation operation',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, operation: operationSchema } }
+}, handleGetAnimation);
+
+v1KeyRoute({
+    method: 'get', path: '/animate/:id/events', tag: 'Animation', operationId: 'streamAnimation', stream: true,
+    summary: 'Server-sent event when the operation finishes'
+}, handleAnimationEvents);
+
+v1KeyRoute({
+    method: 'post', path: '/uploads', tag: 'Prompts', operationId: 'parsePromptFile', upload: true,
+    summary: 'Parse a prompts file (text, CSV/TSV, JSON, JSONL, YAML, Markdown, SRT/VTT; detected from the content) into prompts with per-prompt options',
+    response: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            format: { type: 'string', enum: ['text', 'csv', 'tsv', 'json', 'jsonl', 'yaml', 'markdown', 'srt', 'vtt'] },
+            prompts: { type: 'array', items: { type: 'string' } },
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['prompt'],
+                    properties: {
+                        prompt: promptSchema,
+                        aspectRatio: aspectRatioSchema,
+                        count: { type: 'integer', minimum: 1, maximum: MAX_CANDIDATES },
+                        seed: seedSchema,
+                        filename: { type: 'string' },
+                        motionScript: { type: 'string' },
+                        cue: cueSchema
+                    }
+                }
+            },
+            errors: {
+                type: 'array',
+                description: 'Rows that were skipped, by the line they start on (item number for JSON)',
+                items: { type: 'object', properties: { line: { type: 'integer' }, item: { type: 'integer' }, error: { type: 'string' } } }
+            },
+            count: { type: 'integer' }
+        }
+    }
+}, ...uploadFile, handleUploadPrompts);
+
+v1KeyRoute({
+    method: 'post', path: '/jobs', tag: 'Jobs', operationId: 'createJob', limited: true, status: 201,
+    summary: 'Queue a batch of prompts on the server',
+    body: {
+        type: 'object',
+        required: ['prompts'],
+        properties: {
+            prompts: {
+                type: 'array',
+                items: {
+                    oneOf: [
+                        promptSchema,
+                        { type: 'object', required: ['text'], properties: { text: promptSchema, aspectRatio: aspectRatioSchema, seed: seedSchema, cue: cueSchema } }
+                    ]
+                }
+            },
+            aspectRatio: aspectRatioSchema,
+            ...rewordSchema,
+            webhooks: {
+                type: 'array',
+                maxItems: webhooks.MAX_WEBHOOKS,
+                description: `URLs notified on ${webhooks.EVENTS.join(', ')}; pass { url, secret } to sign with your own secret`,
+                items: {
+                    oneOf: [
+                        { type: 'string', format: 'uri' },
+                        { type: 'object', required: ['url'], properties: { url: { type: 'string', format: 'uri' }, secret: { type: 'string' } } }
+                    ]
+                }
+            }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            job: jobSchema,
+            webhooks: {
+                type: 'array',
+                description: 'Webhook URLs with their signing secrets (only returned here)',
+                items: { type: 'object', properties: { url: { type: 'string' }, secret: { type: 'string' } } }
+            }
+        }
+    }
+}, limiters.jobs, handleCreateJob);
+
+v1KeyRoute({
+    method: 'get', path: '/jobs', tag: 'Jobs', operationId: 'listJobs',
+    summary: 'List jobs (without their prompts)',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, jobs: { type: 'array', items: jobSchema }, stats: { type: 'object' } } }
+}, handleListJobs);
+
+v1KeyRoute({
+    method: 'get', path: '/jobs/:id', tag: 'Jobs', operationId: 'getJob',
+    summary: 'Get a job with per-prompt status',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, job: jobSchema } }
+}, handleGetJob);
+
+v1KeyRoute({
+    method: 'get', path: '/jobs/:id/blocked', tag: 'Jobs', operationId: 'getBlockedPrompts',
+    summary: 'Prompts of a job the safety filter refused',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, blocked: { type: 'array', items: { type: 'object' } } } }
+}, handleBlockedPrompts);
+
+v1KeyRoute({
+    method: 'get', path: '/jobs/:id/webhooks', tag: 'Jobs', operationId: 'getJobWebhooks',
+    summary: 'Webhook URLs of a job and their delivery log',
+    response: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            webhooks: { type: 'array', items: { type: 'string' } },
+            deliveries: { type: 'array', items: { type: 'object' } }
+        }
+    }
+}, handleJobWebhooks);
+
+v1KeyRoute({
+    method: 'get', path: '/jobs/:id/events', tag: 'Jobs', operationId: 'streamJob', stream: true,
+    summary: 'Server-sent progress events for a job (supports Last-Event-ID)'
+}, handleJobEvents);
+
+v1KeyRoute({
+    method: 'post', path: '/jobs/:id/cancel', tag: 'Jobs', operationId: 'cancelJob',
+    summary: 'Cancel a pending or running job',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, job: jobSchema } }
+}, handleCancelJob);
+
+v1KeyRoute({
+    method: 'get', path: '/output/:file', tag: 'Jobs', operationId: 'getOutputFile', file: true,
+    summary: 'Download an image or video produced by a job or operation'
+}, handleOutputFile);
+
+// ---- Admin: API keys ----
+
+const keySchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        hint: { type: 'string', description: 'First characters of the key' },
+        accounts: { type: 'array', items: { type: 'object' } },
+        createdAt: { type: 'string', format: 'date-time' },
+        revokedAt: { type: 'string', format: 'date-time', nullable: true },
+        lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+        requestCount: { type: 'integer' }
+    }
+};
+
+v1Route({
+    method: 'post', path: '/admin/keys', tag: 'Admin', operationId: 'createApiKey', auth: 'admin', status: 201,
+    summary: 'Create an API key; the secret is only returned here',
+    body: {
+        type: 'object',
+        required: ['name', 'cookies'],
+        properties: {
+            name: { type: 'string' },
+            cookies: { type: 'array', items: { type: 'string' }, description: 'Google cookies the key generates with, primary first' }
+        }
+    },
+    response: { type: 'object', properties: { success: { type: 'boolean' }, key: keySchema, secret: { type: 'string' } } }
+}, requireAdmin, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const cookies = Array.isArray(req.body.cookies) ? req.body.cookies.filter(Boolean) : [];
+        if (!name) return res.status(400).json({ success: false, error: 'Name is required' });
+        if (cookies.length === 0) return res.status(400).json({ success: false, error: 'At least one cookie is required' });
+
+        const keyAccounts = [];
+        for (const cookie of cookies) {
+            const { cookieString } = parseCookies(String(cookie));
+            if (!cookieString) return res.status(400).json({ success: false, error: 'Invalid cookie format' });
+            keyAccounts.push({ cookie: cookieString, email: await verifyCookie(cookieString) });
+        }
+
+        const { key, secret } = apikeys.createKey({ name, accounts: keyAccounts });
+        log.info('API key created', { keyId: key.id, name });
+        res.status(201).json({ success: true, key, secret });
+    } catch (error) {
+        log.error('API key creation failed', { error });
+        sendError(res, error);
+    }
+});
+
+v1Route({
+    method: 'get', path: '/admin/keys', tag: 'Admin', operationId: 'listApiKeys', auth: 'admin',
+    summary: 'List API keys with request counts',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, keys: { type: 'array', items: keySchema } } }
+}, requireAdmin, (req, res) => {
+    res.json({ success: true, keys: apikeys.listKeys() });
+});
+
+v1Route({
+    method: 'delete', path: '/admin/keys/:id', tag: 'Admin', operationId: 'revokeApiKey', auth: 'admin',
+    summary: 'Revoke an API key',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, key: keySchema } }
+}, requireAdmin, (req, res) => {
+    const key = apikeys.revokeKey(req.params.id);
+    if (!key) return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    log.info('API key revoked', { keyId: key.id });
+    res.json({ success: true, key });
+});
+
+v1Route({
+    method: 'get', path: '/admin/keys/:id/usage', tag: 'Admin', operationId: 'getApiKeyUsage', auth: 'admin',
+    summary: `Recent requests made with a key (up to ${apikeys.USAGE_LIMIT} kept)`,
+    query: { limit: { type: 'integer', minimum: 1, maximum: apikeys.USAGE_LIMIT, default: 100 } },
+    response: { type: 'object', properties: { success: { type: 'boolean' }, usage: { type: 'array', items: { type: 'object' } } } }
+}, requireAdmin, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), apikeys.USAGE_LIMIT);
+    const usage = apikeys.getUsage(req.params.id, limit);
+    if (!usage) return res.status(404).json({ success: false, error: 'API key not found' });
+    res.json({ success: true, usage });
+});
+
+v1Route({
+    method: 'get', path: '/config', tag: 'Meta', operationId: 'getConfig', auth: 'none',
+    summary: 'Effective server settings without secrets (durations in ms, sizes in bytes)',
+    response: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            config: { type: 'object', description: 'Nested settings, e.g. rateLimits.generate = { max, windowMs }' },
+            limits: { type: 'object', properties: { maxCandidates: { type: 'integer' }, referenceCategories: { type: 'array', items: { type: 'string' } } } }
+        }
+    }
+}, handleConfig);
+
+v1Route({
+    method: 'get', path: '/openapi.json', tag: 'Meta', operationId: 'getOpenApiDocument', auth: 'none',
+    summary: 'This document'
+}, (req, res) => {
+    res.json(openapi.buildDocument(v1Routes, {
+        basePath: '/api/v1',
+        info: {
+            title: 'Bulkmass API',
+            version: '1.0.0',
+            description: 'Whisk image generation, animation and batch jobs for scripts. Authenticate with an API key: Authorization: Bearer bmk_...'
+        }
+    }));
+});
+
+app.use('/api/v1', v1);
+
 // ============================================
 // ERROR HANDLING
 // ============================================
 
 app.use((err, req, res, next) => {
-    console.error('[Server] Express error:', err.message);
+    log.error('Express error', { error: err });
     if (!res.headersSent) {
         res.status(500).json({ error: 'Internal server error', message: err.message });
     }
 });
 
+// ============================================
+// GRACEFUL SHUTDOWN
+// ============================================
+
+let shuttingDown = false;
+const inFlight = new Set();     // responses still being produced (event streams excluded)
+
+// Count requests in progress; once shutting down, refuse new ones
+function trackRequest(req, res, next) {
+    if (shuttingDown) {
+        res.set('Connection', 'close');
+        return sendError(res, createError(ErrorCode.UPSTREAM_UNAVAILABLE, 'Server is restarting, retry in a few seconds', { retryAfter: 5 }));
+    }
+    inFlight.add(res);
+    res.on('close', () => inFlight.delete(res));
+    next();
+}
+
+// Long-lived streams don't hold the shutdown up; they are closed once everything else has drained
+function untrackRequest(res) {
+    inFlight.delete(res);
+}
+
+async function waitForRequests(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (inFlight.size > 0 && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 100));
+    }
+    return inFlight.size;
+}
+
+/**
+ * Stop accepting work, let in-flight generations, animations and worker
+ * prompts finish within SHUTDOWN_TIMEOUT, mark whatever didn't as
+ * interrupted, close event streams, and only then flush state to disk.
+ */
+async function shutdown(server, signal) {
+    if (shuttingDown) {
+        log.warn('Second signal, exiting without draining', { signal });
+        queue.saveToDisk();
+        process.exit(1);
+    }
+    shuttingDown = true;
+    log.info('Shutting down', { signal, timeoutMs: config.server.shutdownTimeout, inFlight: inFlight.size, sseClients: sseClients.size });
+
+    server.close();
+    const [interruptedPrompts, interruptedOperations, abortedRequests] = await Promise.all([
+        worker.drain(config.server.shutdownTimeout),
+        operations.drain(config.server.shutdownTimeout),
+        waitForRequests(config.server.shutdownTimeout)
+    ]);
+
+    // Tell event streams why they end (clients reconnect once the server is back), then cut what's left
+    const streamsClosed = [...sseClients].map(client => new Promise(resolve => {
+        client.res.on('finish', resolve);
+        writeSseEvent(client.res, { type: 'server-shutdown' });
+        client.res.end();
+    }));
+    sseClients.clear();
+    await Promise.race([Promise.all(streamsClosed), new Promise(r => setTimeout(r, 1000))]);
+    server.closeAllConnections();
+
+    apikeys.saveNow();
+    queue.saveToDisk();
+    log.info('Shutdown complete', { interruptedPrompts, interruptedOperations, abortedRequests });
+    process.exit(0);
+}
+
 // ============================================
 // START
 // ============================================
@@ -482,39 +1941,29 @@ app.use((err, req, res, next) => {
 (async () => {
     await loadWhiskApi();
 
+    // One Whisk instance per cookie, shared by the routes and the worker
+    if (Whisk) whiskpool.init(Whisk);
+
+    // Start the background worker (mock jobs run even without the Whisk API)
+    worker.start(broadcast);
+    webhooks.resumePending();
+
     const server = app.listen(PORT, () => {
-        console.log(`
-========================================
-  Bulkmass Server (Multi-User)
-  URL: http://localhost:${PORT}
-  Whisk: ${Whisk ? 'Available' : 'Not installed'}
-  Mode: Stateless Proxy
-========================================
-        `);
+        log.info('Bulkmass server started', { url: `http://localhost:${PORT}`, whisk: Whisk ? 'available' : 'not installed' });
     });
 
+    process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+    process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+
     server.on('error', (err) => {
         if (err.code === 'EADDRINUSE') {
-            console.error(`
-==========================================
-  ⚠  PORT ${PORT} IS ALREADY IN USE!
-==========================================
-  Another process is using port ${PORT}.
-  
-  To fix this, either:
-    1. Stop the other process using port ${PORT}
-    2. Use a different port:
-       PORT=3000 node server.js
-       PORT=8080 node server.js
-  
-  To find what's using the port:
-    Linux/Mac: lsof -i :${PORT}
-    Windows:   netstat -ano | findstr :${PORT}
-==========================================
-`);
+            log.error(`Port ${PORT} is already in use`, {
+                port: PORT,
+                hint: 'Stop the other process (lsof -i :PORT, or netstat -ano on Windows) or start with another PORT=...'
+            });
             process.exit(1);
         } else {
-            console.error('[Server] Failed to start:', err.message);
+            log.error('Failed to start', { error: err });
             process.exit(1);
         }
     });
@@ -0,0 +1,233 @@
+/**
+ * Vault - Google cookies kept server-side, encrypted at rest (AES-256-GCM)
+ * /api/validate-cookie trades a cookie for an opaque session token; every other
+ * route resolves that token here. Only a hash of each token is stored, so the
+ * vault file alone can't be replayed against the API.
+ * A session can hold several Google accounts for rotation; the first one is the
+ * session's identity (job and upload ownership).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const log = require('./logger').child('vault');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const VAULT_FILE = path.join(DATA_DIR, 'vault.json');
+const KEY_FILE = path.join(DATA_DIR, 'vault.key');
+
+const SESSION_TTL = config.vault.sessionTtl; // tokens last 12h by default (or until the cookie expires)
+const SEALED_PREFIX = 'v1:';
+
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+// VAULT_KEY (any string) wins; otherwise a random key is generated once into data/
+function loadKey() {
+    if (config.secrets.vaultKey) {
+        return crypto.createHash('sha256').update(config.secrets.vaultKey).digest();
+    }
+
+    try {
+        if (fs.existsSync(KEY_FILE)) {
+            return Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+        }
+    } catch (e) {
+        log.error('Could not read key file', { error: e });
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+    log.info('Generated new encryption key in data/vault.key');
+    return key;
+}
+
+const KEY = loadKey();
+
+function seal(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+// Returns null if the value was sealed with another key or tampered with.
+// Values written before the vault existed are not sealed and pass through as-is.
+function unseal(value) {
+    if (typeof value !== 'string' || !value.startsWith(SEALED_PREFIX)) return value;
+
+    try {
+        const raw = Buffer.from(value.slice(SEALED_PREFIX.length), 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    } catch {
+        return null;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newAccount(cookieString, email, cookieExpiresAt) {
+    return {
+        id: `acc_${crypto.randomBytes(6).toString('hex')}`,
+        cookie: seal(cookieString),
+        email,
+        cookieExpiresAt,
+        addedAt: Date.now()
+    };
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+let sessionsCache = null;
+
+function getSessions() {
+    if (sessionsCache === null) {
+        try {
+            sessionsCache = fs.existsSync(VAULT_FILE) ? JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8')) : [];
+        } catch (e) {
+            log.error('Could not read vault file', { error: e });
+            sessionsCache = [];
+        }
+    }
+    return sessionsCache;
+}
+
+function save() {
+    try {
+        fs.writeFileSync(VAULT_FILE, JSON.stringify(getSessions(), null, 2), { mode: 0o600 });
+    } catch (e) {
+        log.error('Could not save vault', { error: e });
+    }
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Store a validated cookie and issue a token for it.
+ * cookieExpiresAt (ms) caps the token's lifetime when the cookie export carried one.
+ */
+function createSession(cookieString, { email = null, cookieExpiresAt = null } = {}) {
+    const token = `bm_${crypto.randomBytes(32).toString('base64url')}`;
+    const now = Date.now();
+    const expiresAt = cookieExpiresAt ? Math.min(now + SESSION_TTL, cookieExpiresAt) : now + SESSION_TTL;
+
+    getSessions().push({
+        tokenHash: hashToken(token),
+        accounts: [newAccount(cookieString, email, cookieExpiresAt)],
+        createdAt: now,
+        expiresAt
+    });
+    save();
+
+    return { token, expiresAt };
+}
+
+function findSession(token) {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const session = getSessions().find(s => s.tokenHash === tokenHash);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        revokeToken(token);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * { cookie, email, cookieExpiresAt, expiresAt, accounts } for a live token, else null.
+ * cookie/email describe the primary account; accounts lists all of them unsealed.
+ */
+function resolveToken(token) {
+    const session = findSession(token);
+    if (!session) return null;
+
+    const accounts = session.accounts
+        .map(acc => ({ id: acc.id, cookie: unseal(acc.cookie), email: acc.email, cookieExpiresAt: acc.cookieExpiresAt }))
+        .filter(acc => acc.cookie);
+    if (accounts.length === 0 || accounts[0].id !== session.accounts[0].id) return null;
+
+    return {
+        cookie: accounts[0].cookie,
+        email: accounts[0].email,
+        cookieExpiresAt: accounts[0].cookieExpiresAt,
+        expiresAt: session.expiresAt,
+        accounts
+    };
+}
+
+// Add another validated cookie to the token's rotation; null if the token is gone
+function addAccount(token, cookieString, { email = null, cookieExpiresAt = null } = {}) {
+    const session = findSession(token);
+    if (!session) return null;
+
+    const account = newAccount(cookieString, email, cookieExpiresAt);
+    session.accounts.push(account);
+    save();
+    return { id: account.id, email, cookieExpiresAt };
+}
+
+// The primary account can't be removed; validate a new cookie to replace it
+function removeAccount(token, accountId) {
+    const session = findSession(token);
+    if (!session) return false;
+
+    const index = session.accounts.findIndex(acc => acc.id === accountId);
+    if (index <= 0) return false;
+
+    session.accounts.splice(index, 1);
+    save();
+    return true;
+}
+
+function revokeToken(token) {
+    const tokenHash = hashToken(token);
+    const before = getSessions().length;
+    sessionsCache = getSessions().filter(s => s.tokenHash !== tokenHash);
+    if (sessionsCache.length === before) return false;
+    save();
+    return true;
+}
+
+function cleanupExpiredSessions() {
+    const now = Date.now();
+    const before = getSessions().length;
+    sessionsCache = getSessions().filter(s => s.expiresAt > now);
+
+    const removed = before - sessionsCache.length;
+    if (removed > 0) {
+        save();
+        log.info('Removed expired sessions', { removed });
+    }
+    return removed;
+}
+
+setInterval(cleanupExpiredSessions, 10 * 60 * 1000).unref();
+
+module.exports = {
+    SESSION_TTL,
+    seal,
+    unseal,
+    createSession,
+    resolveToken,
+    addAccount,
+    removeAccount,
+    revokeToken,
+    cleanupExpiredSessions
+};
@@ -0,0 +1,200 @@
+/**
+ * Webhooks - Signed POSTs to a job's webhook URLs as the job progresses
+ * Bodies are the event objects the worker broadcasts over SSE (job-completed,
+ * prompt-error, job-cancelled). Each request carries
+ *   X-Bulkmass-Signature: sha256=HMAC_SHA256(secret, "<X-Bulkmass-Timestamp>.<body>")
+ * Failed deliveries are retried with backoff, and every attempt is kept in the
+ * job's delivery log (job.webhookDeliveries) so it survives restarts.
+ */
+
+const crypto = require('crypto');
+const queue = require('./queue');
+const vault = require('./vault');
+const { ErrorCode, createError } = require('./errors');
+const config = require('./config');
+const log = require('./logger').child('webhooks');
+
+const EVENTS = ['job-completed', 'prompt-error', 'job-cancelled'];
+const MAX_WEBHOOKS = config.webhooks.maxPerJob;
+const DELIVERY_TIMEOUT = config.webhooks.timeout;               // per attempt
+const RETRY_DELAYS = config.webhooks.retryDelays;               // after the 1st, 2nd, ... failure
+const MAX_DELIVERIES = 500;                                     // log entries kept per job
+
+// delivery id → retry timer
+const timers = new Map();
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validate the webhooks of a job request: URLs, or { url, secret } to sign
+ * with a secret of your own. Returns [{ url, secret }], generating the missing
+ * secrets; throws BAD_INPUT.
+ */
+function parseWebhooks(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input)) throw createError(ErrorCode.BAD_INPUT, 'Webhooks must be an array of URLs or { url, secret }');
+    if (input.length > MAX_WEBHOOKS) throw createError(ErrorCode.BAD_INPUT, `At most ${MAX_WEBHOOKS} webhooks per job`);
+
+    return input.map(entry => {
+        const url = typeof entry === 'string' ? entry : entry?.url;
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw createError(ErrorCode.BAD_INPUT, `Invalid webhook URL '${url}'`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw createError(ErrorCode.BAD_INPUT, `Webhook URL must be http or https: '${url}'`);
+        }
+
+        const secret = typeof entry === 'object' && entry.secret ? String(entry.secret) : generateSecret();
+        return { url: parsed.toString(), secret };
+    });
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+function findDelivery(job, deliveryId) {
+    return (job?.webhookDeliveries || []).find(d => d.id === deliveryId) || null;
+}
+
+function saveDeliveries(job) {
+    queue.updateJob(job.id, { webhookDeliveries: job.webhookDeliveries });
+}
+
+function schedule(jobId, delivery, delay) {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+        timers.delete(delivery.id);
+        attempt(jobId, delivery.id);
+    }, delay);
+    timer.unref();
+    timers.set(delivery.id, timer);
+}
+
+async function attempt(jobId, deliveryId) {
+    const job = queue.getJob(jobId);
+    const delivery = findDelivery(job, deliveryId);
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') return;
+
+    const target = job.webhooks?.find(w => w.url === delivery.url);
+    const secret = target && vault.unseal(target.secret);
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const record = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+    const started = Date.now();
+
+    try {
+        if (!secret) throw new Error('Webhook secret could not be decrypted (vault key changed?)');
+
+        const res = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Bulkmass-Webhooks/1',
+                'X-Bulkmass-Event': delivery.event,
+                'X-Bulkmass-Delivery': delivery.id,
+                'X-Bulkmass-Timestamp': String(timestamp),
+                'X-Bulkmass-Signature': sign(secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+            redirect: 'manual'
+        });
+        record.statusCode = res.status;
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (error) {
+        record.error = error.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT / 1000}s` : error.message;
+    }
+    record.durationMs = Date.now() - started;
+
+    delivery.attempts.push(record);
+    if (!record.error) {
+        delivery.status = 'delivered';
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length <= RETRY_DELAYS.length) {
+        const delay = RETRY_DELAYS[delivery.attempts.length - 1];
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        schedule(jobId, delivery, delay);
+        log.warn('Delivery failed, will retry', { jobId, deliveryId: delivery.id, event: delivery.event, url: delivery.url, error: record.error, retryInMs: delay });
+    } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        log.error('Delivery failed for good', { jobId, deliveryId: delivery.id, event: delivery.event, url: delivery.url, attempts: delivery.attempts.length });
+    }
+
+    saveDeliveries(job);
+}
+
+/**
+ * Called with every event the worker broadcasts; queues a delivery per webhook
+ * of the job for the event types webhooks subscribe to.
+ */
+function handleEvent(event) {
+    if (!EVENTS.includes(event.type)) return;
+
+    const job = queue.getJob(event.jobId);
+    if (!job?.webhooks?.length) return;
+
+    job.webhookDeliveries = job.webhookDeliveries || [];
+    for (const target of job.webhooks) {
+        const delivery = {
+            id: `dlv_${crypto.randomBytes(6).toString('hex')}`,
+            event: event.type,
+            url: target.url,
+            payload: { ...event, sentAt: new Date().toISOString() },
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: null,
+            createdAt: new Date().toISOString()
+        };
+        job.webhookDeliveries.push(delivery);
+        attempt(job.id, delivery.id);
+    }
+
+    if (job.webhookDeliveries.length > MAX_DELIVERIES) {
+        job.webhookDeliveries.splice(0, job.webhookDeliveries.length - MAX_DELIVERIES);
+    }
+    saveDeliveries(job);
+}
+
+// Pick up deliveries still pending or waiting for a retry when the server stopped
+function resumePending() {
+    let resumed = 0;
+    for (const job of queue.getJobs()) {
+        for (const delivery of job.webhookDeliveries || []) {
+            if (delivery.status !== 'pending' && delivery.status !== 'retrying') continue;
+            const due = delivery.nextAttemptAt ? Date.parse(delivery.nextAttemptAt) - Date.now() : 0;
+            schedule(job.id, delivery, Math.max(0, due));
+            resumed++;
+        }
+    }
+    if (resumed > 0) log.info('Resumed pending deliveries', { resumed });
+    return resumed;
+}
+
+// Delivery log as shown to the job's owner (payloads omitted)
+function getDeliveries(job) {
+    return (job.webhookDeliveries || []).map(({ payload, ...delivery }) => ({ ...delivery, promptId: payload?.promptId || null }));
+}
+
+module.exports = {
+    EVENTS,
+    MAX_WEBHOOKS,
+    RETRY_DELAYS,
+    generateSecret,
+    sign,
+    parseWebhooks,
+    handleEvent,
+    resumePending,
+    getDeliveries
+};
@@ -138,8 +138,9 @@ export class Media {
     *
     * @param videoScript Video script to be followed
     * @param model Video generation model to be used
+    * @param loop Whether the clip should end on its first frame so it loops seamlessly
     */
-    async animate(videoScript: string, model: VideoGenerationModelType): Promise<Media> {
+    async animate(videoScript: string, model: VideoGenerationModelType, loop = false): Promise<Media> {
         if (this.mediaType === "VIDEO") {
             throw new Error("can't animate a video")
         }
@@ -165,7 +166,7 @@ export class Media {
                 "modelNameType": model,
                 "modelKey": "",
                 "userInstructions": videoScript,
-                "loopVideo": false,
+                "loopVideo": loop,
                 "clientContext": { "workflowId": this.workflowId },
             })
         });
@@ -188,11 +189,6 @@ export class Media {
             // Await for 3 seconds before each request
             await new Promise(resolve => setTimeout(resolve, 3000))
 
-            // Log response shape on first poll to detect API structure changes
-            if (i === 1) {
-                console.log('[VideoFx poll shape]', JSON.stringify(videoResults).slice(0, 600));
-            }
-
             if (videoResults.status === "MEDIA_GENERATION_STATUS_SUCCESSFUL") {
                 // API response shape varies — try all known paths defensively
                 const video = videoResults.operation?.metadata?.video
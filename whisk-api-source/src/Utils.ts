@@ -3,6 +3,50 @@ import type { ImageExtensionTypes } from "./Types.js";
 import path from "path";
 import { ImageExtension } from "./Constants.js";
 
+export interface RequestEvent {
+    /** Last path segment of the URL, e.g. "whisk:generateImage" */
+    endpoint: string;
+    method: string;
+    /** HTTP status, null if the request never got a response */
+    status: number | null;
+    durationMs: number;
+    error?: string;
+}
+
+export type RequestListener = (event: RequestEvent) => void;
+
+const requestListeners = new Set<RequestListener>();
+
+/**
+ * Get notified after every API request (for metrics and logging)
+ *
+ * @param listener Called with the outcome of each request
+ * @returns Function that removes the listener
+ */
+export function onRequest(listener: RequestListener): () => void {
+    requestListeners.add(listener);
+    return () => requestListeners.delete(listener);
+}
+
+function emitRequest(event: RequestEvent) {
+    for (const listener of requestListeners) {
+        try {
+            listener(event);
+        } catch {
+            // a broken listener must not fail the request
+        }
+    }
+}
+
+function endpointOf(input: RequestInfo | URL): string {
+    const url = typeof input === "string" ? input : input instanceof URL ? input.href : input.url;
+    try {
+        return new URL(url).pathname.split("/").pop() || url;
+    } catch {
+        return url;
+    }
+}
+
 /**
  * Make a request, thats all
  *
@@ -13,16 +57,29 @@ export async function request<T>(input: RequestInfo | URL, init?: RequestInit):
     if (init) {
         init.method = init.method ?? (init.body ? "POST" : "GET");
     }
-    const request = await fetch(input, init);
 
-    if (!request.ok) {
-        const errorText = await request.text();
-        throw new Error(`API Error (${request.status}): ${errorText}`);
-    }
+    const started = Date.now();
+    const event: RequestEvent = { endpoint: endpointOf(input), method: init?.method ?? "GET", status: null, durationMs: 0 };
+
+    try {
+        const request = await fetch(input, init);
+        event.status = request.status;
 
-    const json = await request.json();
+        if (!request.ok) {
+            const errorText = await request.text();
+            throw new Error(`API Error (${request.status}): ${errorText}`);
+        }
 
-    return (json.result?.data?.json?.result || json) as T;
+        const json = await request.json();
+
+        return (json.result?.data?.json?.result || json) as T;
+    } catch (error) {
+        event.error = error instanceof Error ? error.message : String(error);
+        throw error;
+    } finally {
+        event.durationMs = Date.now() - started;
+        emitRequest(event);
+    }
 }
 
 /**
@@ -1,7 +1,7 @@
-import { ImageGenerationModel } from "./Constants.js";
+import { ImageGenerationModel, MediaCategory } from "./Constants.js";
 import { Media } from "./Media.js";
 import { Project } from "./Project.js";
-import { ImageGenerationModelType, PromptConfig } from "./Types.js";
+import { ImageGenerationModelType, MediaCategoryType, PromptConfig } from "./Types.js";
 import { request } from "./Utils.js";
 
 export class Account {
@@ -161,8 +161,9 @@ export class Whisk {
      * @param input base64 encoded image
      * @param account Account{} object
      * @param count Number of captions to generate (min: 0, max: 8)
+     * @param category Reference category the caption is written for (subject, scene or style)
      */
-    static async generateCaption(input: string, account: Account, count = 1): Promise<string[]> {
+    static async generateCaption(input: string, account: Account, count = 1, category: MediaCategoryType = MediaCategory.SUBJECT): Promise<string[]> {
         if (!(input?.trim?.())) {
             throw new Error("input image or media id is required")
         }
@@ -185,7 +186,7 @@ export class Whisk {
                             "candidatesCount": count,
                             "mediaInput": {
                                 "rawBytes": input,
-                                "mediaCategory": "MEDIA_CATEGORY_SUBJECT"
+                                "mediaCategory": category
                             }
                         }
                     }
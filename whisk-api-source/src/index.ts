@@ -3,4 +3,7 @@
 export { Whisk } from "./Whisk.js";
 export { Media } from "./Media.js";
 export { Project } from "./Project.js";
+export { onRequest } from "./Utils.js";
+export type { RequestEvent, RequestListener } from "./Utils.js";
 export * from "./Types.js";
+export * from "./Constants.js";
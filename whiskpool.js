@@ -0,0 +1,211 @@
+/**
+ * Whisk Pool - One Whisk instance (and its access token) per cookie, shared by
+ * the HTTP routes and the background worker.
+ * Projects are leased: a project serves PROJECT_REFRESH_EVERY generations, then
+ * is retired and deleted once the last request using it has released it.
+ */
+
+const queue = require('./queue');
+const { ErrorCode, classify } = require('./errors');
+const config = require('./config');
+const log = require('./logger').child('whiskpool');
+
+const MAX_INSTANCES = config.whiskpool.maxInstances;
+const PROJECT_REFRESH_EVERY = config.whiskpool.projectRefreshEvery;   // new Whisk project every N leases
+const IDLE_TTL = config.whiskpool.idleTtl;                            // drop instances unused this long
+
+let Whisk = null;
+const instances = new Map();                // cookie hash → entry
+
+function init(WhiskClass) {
+    Whisk = WhiskClass;
+}
+
+// ============================================
+// INSTANCES
+// ============================================
+
+function acquire(cookieString) {
+    if (!Whisk) throw new Error('Whisk API not loaded');
+
+    const hash = queue.hashCookie(cookieString);
+    let entry = instances.get(hash);
+
+    if (!entry) {
+        entry = {
+            hash,
+            whisk: new Whisk(cookieString),
+            current: null,          // { project, uses, active, retired }
+            pending: null,          // in-flight newProject() shared by concurrent leases
+            active: 0,
+            lastUsed: Date.now()
+        };
+        instances.set(hash, entry);
+        evictOverflow();
+    }
+
+    entry.lastUsed = Date.now();
+    return entry;
+}
+
+// Least recently used instances go first; never one with a request in flight
+function evictOverflow() {
+    if (instances.size <= MAX_INSTANCES) return;
+
+    const idle = [...instances.values()]
+        .filter(entry => entry.active === 0)
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    while (instances.size > MAX_INSTANCES && idle.length > 0) {
+        drop(idle.shift());
+        log.info('Evicted least recently used instance');
+    }
+}
+
+function drop(entry) {
+    instances.delete(entry.hash);
+    if (entry.current) retire(entry.current);
+    entry.current = null;
+}
+
+// ============================================
+// PROJECTS
+// ============================================
+
+function retire(record) {
+    record.retired = true;
+    if (record.active === 0) record.project.delete().catch(() => {});
+}
+
+async function currentProject(entry) {
+    if (entry.current && entry.current.uses < PROJECT_REFRESH_EVERY) return entry.current;
+
+    if (!entry.pending) {
+        entry.pending = entry.whisk.newProject('Bulkmass')
+            .then(project => {
+                if (entry.current) retire(entry.current);
+                entry.current = { project, uses: 0, active: 0, retired: false };
+                return entry.current;
+            })
+            .finally(() => { entry.pending = null; });
+    }
+    return entry.pending;
+}
+
+/**
+ * Lease the cookie's current project. Call release() when the request is done
+ * with it; a retired project is deleted after its last lease is released.
+ */
+async function leaseProject(cookieString) {
+    const entry = acquire(cookieString);
+    entry.active++;
+
+    let record;
+    try {
+        record = await currentProject(entry);
+    } catch (error) {
+        entry.active--;
+        throw error;
+    }
+
+    record.uses++;
+    record.active++;
+
+    let released = false;
+    return {
+        whisk: entry.whisk,
+        project: record.project,
+        release() {
+            if (released) return;
+            released = true;
+            entry.active--;
+            entry.lastUsed = Date.now();
+            record.active--;
+            if (record.retired && record.active === 0) record.project.delete().catch(() => {});
+        }
+    };
+}
+
+// Run fn({ whisk, project }) on a leased project, releasing it afterwards
+async function withProject(cookieString, fn) {
+    const lease = await leaseProject(cookieString);
+    try {
+        return await fn(lease);
+    } catch (error) {
+        reportError(cookieString, error);
+        throw error;
+    } finally {
+        lease.release();
+    }
+}
+
+/**
+ * Forget state an upstream error has made suspect: an auth failure drops the
+ * whole instance (next call re-reads the cookie), a project-level failure
+ * retires the project so the next lease starts a fresh one.
+ */
+function reportError(cookieString, error) {
+    const entry = instances.get(queue.hashCookie(cookieString));
+    if (!entry) return;
+
+    const message = error?.message || '';
+
+    if (classify(error) === ErrorCode.AUTH_EXPIRED) {
+        drop(entry);
+        return;
+    }
+
+    if (entry.current && (
+        message.includes('project') ||
+        message.includes('404') ||
+        message.includes('500') ||
+        message.includes('ECONNRESET') ||
+        message.includes('socket')
+    )) {
+        retire(entry.current);
+        entry.current = null;
+        log.debug('Retired stale project');
+    }
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+function cleanupIdle() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const entry of [...instances.values()]) {
+        if (entry.active === 0 && now - entry.lastUsed > IDLE_TTL) {
+            drop(entry);
+            removed++;
+        }
+    }
+
+    if (removed > 0) log.info('Cleaned up idle instances', { removed });
+    return removed;
+}
+
+function getStats() {
+    let projects = 0;
+    let active = 0;
+    for (const entry of instances.values()) {
+        if (entry.current) projects++;
+        active += entry.active;
+    }
+    return { instances: instances.size, projects, activeLeases: active };
+}
+
+setInterval(cleanupIdle, 5 * 60 * 1000).unref();
+
+module.exports = {
+    PROJECT_REFRESH_EVERY,
+    init,
+    acquire,
+    leaseProject,
+    withProject,
+    reportError,
+    cleanupIdle,
+    getStats
+};
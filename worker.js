@@ -6,58 +6,42 @@
 const path = require('path');
 const fs = require('fs');
 const queue = require('./queue');
+const whiskpool = require('./whiskpool');
+const vault = require('./vault');
+const accounts = require('./accounts');
+const reword = require('./reword');
+const { ErrorCode, ERROR_TYPES, createError, classify } = require('./errors');
+const config = require('./config');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.child('worker');
 
 const OUTPUT_DIR = path.join(__dirname, 'output');
 if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
 let isRunning = false;
 let isProcessing = false;  // LOCK: prevents re-entrant processing
-let Whisk = null;
 let broadcastFn = () => {};
-const whiskInstances = new Map();
-const MAX_INSTANCES = 5;
+
+// Shutdown state: the job being worked on, the prompt in flight, and a way to cut the pause between prompts short
+let activeJob = null;       // promise of processJob
+let activePrompt = null;    // { jobId, promptId }
+let wakeUp = null;
 
 // Backoff state
 let consecutiveErrors = 0;
-const BASE_DELAY = 4000;       // 4s between API calls
-const MAX_BACKOFF = 60000;     // max 60s backoff
-const PROJECT_REFRESH_EVERY = 10;  // refresh Whisk project every N images
+const BASE_DELAY = config.worker.baseDelay;                 // between API calls
+const MAX_BACKOFF = config.worker.maxBackoff;
+const MAX_CONSECUTIVE_ERRORS = config.worker.maxConsecutiveErrors;
+
+// 1x1 transparent PNG written for MOCK cookies
+const MOCK_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
 
 // ============================================
 // WHISK HELPERS
 // ============================================
 
-function getWhiskInstance(cookie) {
-    if (!Whisk) throw new Error('Whisk API not loaded');
-
-    const hash = Buffer.from(cookie).toString('base64').slice(0, 32);
-
-    if (!whiskInstances.has(hash)) {
-        const instance = new Whisk(cookie);
-        whiskInstances.set(hash, {
-            whisk: instance,
-            project: null,
-            lastUsed: Date.now(),
-            generationCount: 0
-        });
-
-        // Cleanup if too many
-        if (whiskInstances.size > MAX_INSTANCES) {
-            const entries = [...whiskInstances.entries()]
-                .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
-            while (whiskInstances.size > MAX_INSTANCES) {
-                const [h] = entries.shift();
-                whiskInstances.delete(h);
-                console.log(`[Worker] Evicted stale Whisk instance`);
-            }
-        }
-    } else {
-        whiskInstances.get(hash).lastUsed = Date.now();
-    }
-
-    return whiskInstances.get(hash);
-}
-
 function mapAspectRatio(ratio) {
     const map = {
         '1:1': 'IMAGE_ASPECT_RATIO_SQUARE',
@@ -70,6 +54,19 @@ function mapAspectRatio(ratio) {
     return map[ratio] || 'IMAGE_ASPECT_RATIO_SQUARE';
 }
 
+// Pause between prompts; stop() ends it early so shutdown doesn't sit out a backoff
+function pause(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            wakeUp = null;
+            resolve();
+        }
+        wakeUp = done;
+    });
+}
+
 function getBackoffDelay() {
     if (consecutiveErrors === 0) return BASE_DELAY;
     // Exponential backoff: 4s, 8s, 16s, 32s, 60s cap
@@ -80,70 +77,55 @@ function getBackoffDelay() {
 // JOB PROCESSING
 // ============================================
 
+// MOCK cookies: a tiny PNG, with prompts containing "unsafe" refused like the safety filter would
+async function mockGenerate(text) {
+    await new Promise(r => setTimeout(r, 800));
+    if (/\bunsafe\b/i.test(text)) throw createError(ErrorCode.SAFETY_BLOCKED, 'Blocked by the safety filter (mock)');
+
+    const filename = `mock_${Date.now()}_${Math.random().toString(36).substr(2, 6)}.png`;
+    const filepath = path.join(OUTPUT_DIR, filename);
+    fs.writeFileSync(filepath, Buffer.from(MOCK_PNG, 'base64'));
+    return filepath;
+}
+
 async function processPrompt(job, prompt) {
     const text = prompt.text || '';
-    console.log(`[Worker] Processing: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+    log.info('Processing prompt', { text: text.length > 50 ? `${text.substring(0, 50)}...` : text });
 
     try {
-        // Mock mode
-        if (job.cookie === 'MOCK') {
-            await new Promise(r => setTimeout(r, 800));
-            const filename = `mock_${Date.now()}_${Math.random().toString(36).substr(2, 6)}.png`;
-            const filepath = path.join(OUTPUT_DIR, filename);
-            fs.writeFileSync(filepath, 'MOCK');
-
-            const imageUrl = `/output/${filename}`;
-            const updated = queue.updatePrompt(job.id, prompt.id, { status: 'completed', imageUrl });
-
-            broadcastFn({
-                type: 'prompt-completed',
-                jobId: job.id,
-                promptId: prompt.id,
-                imageUrl,
-                progress: updated?.progress || 0,
-                completedCount: updated?.completedCount || 0,
-                totalCount: updated?.totalCount || 0
-            });
-
-            consecutiveErrors = 0;
-            return true;
-        }
-
-        const instance = getWhiskInstance(job.cookie);
-
-        // Refresh project if null or after N generations
-        if (!instance.project || instance.generationCount >= PROJECT_REFRESH_EVERY) {
-            try {
-                console.log(`[Worker] Creating new Whisk project (gen count: ${instance.generationCount})`);
-                instance.project = await instance.whisk.newProject('Bulkmass Generation');
-                instance.generationCount = 0;
-            } catch (projErr) {
-                console.error(`[Worker] Failed to create project: ${projErr.message}`);
-                // Clear the project so next attempt creates fresh
-                instance.project = null;
-                throw projErr;
-            }
-        }
-
-        const media = await instance.project.generateImage({
-            prompt: text,
-            aspectRatio: mapAspectRatio(job.aspectRatio)
-        });
-
-        const savedPath = media.save(OUTPUT_DIR);
+        const cookie = vault.unseal(job.cookie);
+        if (!cookie) throw createError(ErrorCode.AUTH_EXPIRED, 'Stored cookie could not be decrypted (vault key changed?)');
+        const cookies = (job.accountCookies || [job.cookie]).map(vault.unseal).filter(Boolean);
+        const rules = job.rewordRules ? reword.parseRules(job.rewordRules) : null;
+
+        // Next healthy account in the job's rotation; its pooled project is shared with the HTTP routes
+        const generate = (attemptText) => cookie === 'MOCK'
+            ? mockGenerate(attemptText)
+            : accounts.withAccount(cookies, accountCookie => whiskpool.withProject(accountCookie, ({ project }) => project.generateImage({
+                prompt: attemptText,
+                seed: prompt.seed ?? undefined,
+                aspectRatio: mapAspectRatio(prompt.aspectRatio || job.aspectRatio)
+            }))).then(media => media.save(OUTPUT_DIR));
+
+        const { result: savedPath, prompt: finalText, blocked } = await reword.withRewording(text, rules, generate);
         const imageUrl = `/output/${path.basename(savedPath)}`;
 
-        console.log(`[Worker] Generated: ${imageUrl}`);
-
-        instance.generationCount++;
+        log.info('Generated', { imageUrl, blocked: blocked.length });
 
-        const updated = queue.updatePrompt(job.id, prompt.id, { status: 'completed', imageUrl });
+        const updated = queue.updatePrompt(job.id, prompt.id, {
+            status: 'completed',
+            imageUrl,
+            finalText: finalText !== text ? finalText : null,
+            blockedPrompts: blocked
+        });
 
         broadcastFn({
             type: 'prompt-completed',
             jobId: job.id,
             promptId: prompt.id,
             imageUrl,
+            finalPrompt: finalText,
+            blockedPrompts: blocked,
             progress: updated?.progress || 0,
             completedCount: updated?.completedCount || 0,
             totalCount: updated?.totalCount || 0
@@ -152,30 +134,28 @@ async function processPrompt(job, prompt) {
         consecutiveErrors = 0;
         return true;
     } catch (error) {
-        consecutiveErrors++;
-        console.error(`[Worker] Error (streak: ${consecutiveErrors}): ${error.message}`);
-
-        // If project-related error, clear the project for fresh retry
-        const instance = whiskInstances.get(Buffer.from(job.cookie).toString('base64').slice(0, 32));
-        if (instance && (
-            error.message.includes('project') ||
-            error.message.includes('404') ||
-            error.message.includes('500') ||
-            error.message.includes('ECONNRESET') ||
-            error.message.includes('socket')
-        )) {
-            instance.project = null;
-            instance.generationCount = 0;
-            console.log('[Worker] Cleared stale project reference');
-        }
+        const code = classify(error);
+        metrics.countError(code, 'worker');
 
-        const updated = queue.updatePrompt(job.id, prompt.id, { status: 'error', error: error.message });
+        // A refused prompt says nothing about the account or Whisk's health, so it doesn't feed the pause
+        if (code !== ErrorCode.SAFETY_BLOCKED) consecutiveErrors++;
+        log.error('Prompt failed', { code, streak: consecutiveErrors, error });
+
+        const updated = queue.updatePrompt(job.id, prompt.id, {
+            status: 'error',
+            error: error.message,
+            errorCode: code,
+            blockedPrompts: error.blockedPrompts || []
+        });
 
         broadcastFn({
             type: 'prompt-error',
             jobId: job.id,
             promptId: prompt.id,
             error: error.message,
+            code,
+            retryable: ERROR_TYPES[code].retryable,
+            blockedPrompts: error.blockedPrompts || [],
             progress: updated?.progress || 0,
             completedCount: updated?.completedCount || 0,
             failedCount: updated?.failedCount || 0,
@@ -187,7 +167,7 @@ async function processPrompt(job, prompt) {
 }
 
 async function processJob(job) {
-    console.log(`[Worker] Starting job: ${job.id} (${job.totalCount} prompts)`);
+    log.info('Starting job', { totalCount: job.totalCount });
 
     queue.updateJob(job.id, {
         status: queue.Status.PROCESSING,
@@ -204,15 +184,23 @@ async function processJob(job) {
             // Check cancellation
             const current = queue.getJob(job.id);
             if (!current || current.status === queue.Status.CANCELLED) {
-                console.log(`[Worker] Job cancelled: ${job.id}`);
+                log.info('Job cancelled');
+                return;
+            }
+
+            // Shutting down: hand the job back to the queue for the next start
+            if (!isRunning) {
+                queue.updateJob(job.id, { status: queue.Status.PENDING, startedAt: null });
+                log.info('Job paused for shutdown');
                 return;
             }
 
             // Too many consecutive errors → abort job
-            if (consecutiveErrors >= 5) {
-                console.error(`[Worker] Too many consecutive errors (${consecutiveErrors}), pausing job`);
+            if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+                log.error('Too many consecutive errors, stopping job', { streak: consecutiveErrors });
                 queue.updateJob(job.id, {
                     status: queue.Status.FAILED,
+                    error: 'Too many consecutive errors',
                     completedAt: new Date().toISOString()
                 });
                 broadcastFn({
@@ -235,15 +223,20 @@ async function processJob(job) {
                 text: prompt.text
             });
 
-            await processPrompt(job, prompt);
+            activePrompt = { jobId: job.id, promptId: prompt.id };
+            try {
+                await logger.withContext({ promptId: prompt.id }, () => processPrompt(job, prompt));
+            } finally {
+                activePrompt = null;
+            }
             promptsProcessed++;
 
             // Rate limit with backoff
             const delay = getBackoffDelay();
             if (delay > BASE_DELAY) {
-                console.log(`[Worker] Backoff delay: ${delay}ms (${consecutiveErrors} errors)`);
+                log.info('Backing off', { delayMs: delay, streak: consecutiveErrors });
             }
-            await new Promise(r => setTimeout(r, delay));
+            await pause(delay);
 
             // Trigger GC every 5 prompts to keep memory under control
             if (promptsProcessed % 5 === 0 && global.gc) {
@@ -251,7 +244,7 @@ async function processJob(job) {
             }
         }
     } catch (loopError) {
-        console.error(`[Worker] Job loop error: ${loopError.message}`);
+        log.error('Job loop error', { error: loopError });
     }
 
     // Finalize job
@@ -270,7 +263,7 @@ async function processJob(job) {
             totalCount: final.totalCount
         });
 
-        console.log(`[Worker] Job done: ${job.id} (${final.completedCount}/${final.totalCount} ok, ${final.failedCount} failed)`);
+        log.info('Job done', { completedCount: final.completedCount, failedCount: final.failedCount, totalCount: final.totalCount });
     }
 
     // GC after job completes
@@ -294,7 +287,9 @@ async function workerLoop() {
             if (queue.canStartNew()) {
                 const job = queue.getNextPendingJob();
                 if (job) {
-                    await processJob(job);
+                    // Everything logged for the job carries the id of the request that created it
+                    activeJob = logger.withContext({ requestId: job.requestId || null, jobId: job.id }, () => processJob(job));
+                    await activeJob;
                 }
             }
 
@@ -303,9 +298,10 @@ async function workerLoop() {
                 queue.cleanupOldJobs();
             }
         } catch (error) {
-            console.error('[Worker] Loop error:', error.message);
+            log.error('Loop error', { error });
         } finally {
             isProcessing = false;
+            activeJob = null;
         }
     }
 
@@ -327,8 +323,10 @@ function recoverInterruptedJobs() {
             }
             if (job.prompts) {
                 job.prompts.forEach(p => {
-                    if (p.status === 'processing') {
+                    // 'processing' after a crash, 'interrupted' after a shutdown that hit its deadline
+                    if (p.status === 'processing' || p.status === 'interrupted') {
                         p.status = 'pending';
+                        p.error = null;
                         recovered++;
                     }
                 });
@@ -337,10 +335,10 @@ function recoverInterruptedJobs() {
 
         if (recovered > 0) {
             queue.saveJobs(jobs);
-            console.log(`[Worker] Recovered ${recovered} interrupted items`);
+            log.info('Recovered interrupted items', { recovered });
         }
     } catch (error) {
-        console.error('[Worker] Recovery error:', error.message);
+        log.error('Recovery failed', { error });
     }
 }
 
@@ -348,22 +346,59 @@ function recoverInterruptedJobs() {
 // EXPORTS
 // ============================================
 
-function start(WhiskClass, broadcast) {
+function start(broadcast) {
     if (isRunning) return;
 
-    Whisk = WhiskClass;
     broadcastFn = broadcast || (() => {});
     isRunning = true;
     consecutiveErrors = 0;
 
-    console.log('[Worker] Started');
+    log.info('Started');
     recoverInterruptedJobs();
     workerLoop();
 }
 
 function stop() {
     isRunning = false;
-    console.log('[Worker] Stopped');
+    if (wakeUp) wakeUp();
+    log.info('Stopped');
+}
+
+/**
+ * Stop taking prompts and give the one in flight up to timeoutMs to finish.
+ * If it doesn't, it is marked 'interrupted' (re-queued on the next start)
+ * and its job goes back to pending. Resolves the number of prompts interrupted.
+ */
+async function drain(timeoutMs) {
+    stop();
+    if (!activeJob) return 0;
+
+    let timer;
+    const finished = await Promise.race([
+        activeJob.then(() => true, () => true),
+        new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); })
+    ]);
+    clearTimeout(timer);
+    if (finished || !activePrompt) return 0;
+
+    const { jobId, promptId } = activePrompt;
+    const updated = queue.updatePrompt(jobId, promptId, {
+        status: 'interrupted',
+        error: 'Interrupted by server shutdown',
+        interruptedAt: new Date().toISOString()
+    });
+    queue.updateJob(jobId, { status: queue.Status.PENDING, startedAt: null });
+    broadcastFn({
+        type: 'prompt-interrupted',
+        jobId,
+        promptId,
+        progress: updated?.progress || 0,
+        completedCount: updated?.completedCount || 0,
+        failedCount: updated?.failedCount || 0,
+        totalCount: updated?.totalCount || 0
+    });
+    log.warn('Prompt interrupted by shutdown', { jobId, promptId });
+    return 1;
 }
 
-module.exports = { start, stop, isRunning: () => isRunning };
+module.exports = { start, stop, drain, isRunning: () => isRunning };